@@ -14,4 +14,27 @@ const connectDB = async () => {
   }
 };
 
+let transactionsSupported;
+
+// Run `fn(session)` inside a transaction. Transactions need a replica set or
+// sharded cluster, so on a standalone server (e.g. local development) `fn` runs
+// with a null session instead.
+export const withTransaction = async (fn) => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+
+  if (!transactionsSupported) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
 export default connectDB;
\ No newline at end of file
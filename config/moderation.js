@@ -0,0 +1,10 @@
+import dotenv from 'dotenv';
+
+dotenv.config();  // make sure .env is loaded
+
+// When enabled, new uploads wait in the moderation queue until an admin approves them
+export const requireNoteApproval = () => process.env.REQUIRE_NOTE_APPROVAL === 'true';
+
+// What happens when a file identical to an existing note is uploaded: 'reject' or 'flag'
+export const duplicateUploadPolicy = () =>
+  process.env.DUPLICATE_UPLOAD_POLICY === 'flag' ? 'flag' : 'reject';
@@ -1,6 +1,35 @@
 import User from '../models/User.js';
 import Note from '../models/Note.js';
-import cloudinary from '../config/cloudinary.js';
+import Review from '../models/Review.js';
+import Comment from '../models/Comment.js';
+import Notification from '../models/Notification.js';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Job from '../models/Job.js';
+import Company from '../models/Company.js';
+import Application from '../models/Application.js';
+import SavedJob from '../models/SavedJob.js';
+import JobView from '../models/JobView.js';
+import JobAlert from '../models/JobAlert.js';
+import AuditLog from '../models/AuditLog.js';
+import { withTransaction } from '../config/db.js';
+import { reconcileReferences } from '../utils/reconcile.js';
+import { removeFile } from '../utils/storage/index.js';
+import { removeResume } from '../utils/resume.js';
+import { audit, snapshot, USER_SNAPSHOT_FIELDS, NOTE_SNAPSHOT_FIELDS } from '../utils/audit.js';
+import { toCsvRow } from '../utils/csv.js';
+import { escapeRegExp } from '../utils/search.js';
+import {
+  NOTE_STATUS,
+  NOTIFICATION_TYPES,
+  USER_ROLES,
+  RECRUITER_STATUS,
+  ROLE_PERMISSIONS,
+  AUDIT_ACTIONS,
+} from '../utils/constants.js';
+import { notify } from '../utils/notify.js';
+import { publishNoteStatus, publishModerationResolved } from '../utils/realtime.js';
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/stats
@@ -9,6 +38,11 @@ export const getDashboardStats = async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: 'student' });
     const totalNotes = await Note.countDocuments();
+    const pendingNotes = await Note.countDocuments({ status: NOTE_STATUS.PENDING });
+    const pendingRecruiters = await User.countDocuments({
+      role: USER_ROLES.RECRUITER,
+      recruiterStatus: RECRUITER_STATUS.PENDING,
+    });
     const totalDownloads = await Note.aggregate([
       { $group: { _id: null, total: { $sum: '$downloads' } } },
     ]);
@@ -62,6 +96,8 @@ export const getDashboardStats = async (req, res) => {
         overview: {
           totalUsers,
           totalNotes,
+          pendingNotes,
+          pendingRecruiters,
           totalDownloads: totalDownloads[0]?.total || 0,
           totalViews: totalViews[0]?.total || 0,
         },
@@ -146,8 +182,23 @@ export const toggleUserStatus = async (req, res) => {
     }
 
     user.isActive = !user.isActive;
+
+    // Deactivation ends every session immediately
+    if (!user.isActive) {
+      user.tokenVersion += 1;
+      await RefreshToken.revokeAllForUser(user._id);
+    }
+
     await user.save();
 
+    await audit(req, {
+      action: user.isActive ? AUDIT_ACTIONS.USER_ACTIVATE : AUDIT_ACTIONS.USER_DEACTIVATE,
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive },
+    });
+
     res.status(200).json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -161,6 +212,119 @@ export const toggleUserStatus = async (req, res) => {
   }
 };
 
+// @desc    Get the roles and the permissions each one grants
+// @route   GET /api/admin/roles
+// @access  Private/Admin
+export const getRoles = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.values(USER_ROLES).map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+    })),
+  });
+};
+
+// @desc    Assign a role to a user
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private/Admin
+export const assignRole = async (req, res) => {
+  try {
+    const { role, companyId } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${role}`,
+      });
+    }
+
+    // Someone has to be left to assign roles
+    if (user.role === USER_ROLES.ADMIN) {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: USER_ROLES.ADMIN,
+        isActive: true,
+      });
+      if (!otherAdmins) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot demote the last active admin',
+        });
+      }
+    }
+
+    if (role === USER_ROLES.STUDENT && !user.branch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Students must have a branch; ask the user to add one to their profile first',
+      });
+    }
+
+    const roleFields = ['role', 'company', 'companyConfirmed', 'recruiterStatus'];
+    const before = snapshot(user, roleFields);
+
+    if (role === USER_ROLES.RECRUITER) {
+      const company = await Company.findById(companyId || user.company);
+      if (!company) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid companyId is required to make a user a recruiter',
+        });
+      }
+
+      // Recruiters assigned by an admin need no further approval
+      user.company = company._id;
+      user.companyConfirmed = true;
+      user.recruiterStatus = RECRUITER_STATUS.APPROVED;
+      user.recruiterRejectionReason = undefined;
+    } else {
+      user.company = undefined;
+      user.companyConfirmed = undefined;
+      user.recruiterStatus = undefined;
+      user.recruiterRejectionReason = undefined;
+    }
+
+    user.role = role;
+    await user.save();
+
+    await audit(req, {
+      action: AUDIT_ACTIONS.USER_ROLE_ASSIGN,
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user, roleFields),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `User role changed from ${before.role} to ${role}`,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
@@ -186,14 +350,66 @@ export const deleteUser = async (req, res) => {
     const userNotes = await Note.find({ uploadedBy: user._id });
     
     for (const note of userNotes) {
-      await cloudinary.uploader.destroy(note.cloudinaryPublicId, {
-        resource_type: note.fileType.startsWith('image/') ? 'image' : 'raw',
-      });
-      await Note.findByIdAndDelete(note._id);
+      await Note.removeWithReferences(note);
+      for (const ref of note.getStoredFileRefs()) {
+        await removeFile(ref);
+      }
+    }
+
+    // Delete reviews written by this user and update the ratings they affected
+    const userReviews = await Review.find({ user: user._id });
+
+    for (const review of userReviews) {
+      await Review.findByIdAndDelete(review._id);
+      await Note.applyRatingChange(review.note, -review.rating, -1);
+    }
+
+    const applicationResumes = await Application.find({
+      applicant: user._id,
+      resume: { $exists: true },
+    }).select('resume');
+
+    // Delete user with their bookmarks, applications, saved and viewed jobs, alerts, sessions,
+    // notifications, comments and collections
+    await withTransaction(async (session) => {
+      await Note.updateMany(
+        { bookmarkedBy: user._id },
+        { $pull: { bookmarkedBy: user._id } },
+        { session }
+      );
+      await Bookmark.deleteMany({ user: user._id }, { session });
+      await Job.updateMany(
+        { applicants: user._id },
+        { $pull: { applicants: user._id } },
+        { session }
+      );
+      await Application.deleteMany({ applicant: user._id }, { session });
+      await RefreshToken.deleteMany({ user: user._id }, { session });
+      await Notification.deleteMany({ recipient: user._id }, { session });
+      await SavedJob.deleteMany({ user: user._id }, { session });
+      await JobAlert.deleteMany({ user: user._id }, { session });
+      await JobView.deleteMany({ user: user._id }, { session });
+      // Comments stay in their threads so replies keep their context
+      await Comment.updateMany(
+        { author: user._id, isDeleted: false },
+        { $set: { isDeleted: true, deletedBy: 'admin' }, $unset: { body: '' } },
+        { session }
+      );
+      await BookmarkCollection.deleteMany({ user: user._id }, { session });
+      await User.deleteOne({ _id: user._id }, { session });
+    });
+
+    // Remove their default resume and the copies attached to applications
+    for (const { resume } of [user, ...applicationResumes]) {
+      await removeResume(resume);
     }
 
-    // Delete user
-    await User.findByIdAndDelete(req.params.id);
+    await audit(req, {
+      action: AUDIT_ACTIONS.USER_DELETE,
+      targetType: 'User',
+      targetId: user._id,
+      before: snapshot(user, USER_SNAPSHOT_FIELDS),
+    });
 
     res.status(200).json({
       success: true,
@@ -262,22 +478,335 @@ export const deleteNoteAdmin = async (req, res) => {
       });
     }
 
-    // Delete from Cloudinary
-    await cloudinary.uploader.destroy(note.cloudinaryPublicId, {
-      resource_type: note.fileType.startsWith('image/') ? 'image' : 'raw',
+    // Delete note with its bookmarks, reviews and user references
+    await Note.removeWithReferences(note);
+
+    // Delete every file version and the preview from storage
+    for (const ref of note.getStoredFileRefs()) {
+      await removeFile(ref);
+    }
+
+    await audit(req, {
+      action: AUDIT_ACTIONS.NOTE_DELETE,
+      targetType: 'Note',
+      targetId: note._id,
+      before: snapshot(note, NOTE_SNAPSHOT_FIELDS),
     });
 
-    // Remove from user's uploadedNotes
-    await User.findByIdAndUpdate(note.uploadedBy, {
-      $pull: { uploadedNotes: note._id },
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
     });
+  }
+};
+
+// Let a note's uploader, the other admins and (once approved) the note's
+// branch know the outcome of moderation
+const notifyModeration = async (note, moderator) => {
+  const approved = note.status === NOTE_STATUS.APPROVED;
+
+  await publishModerationResolved(note, moderator);
+  if (approved) {
+    await publishNoteStatus(note);
+  }
+
+  await notify({ _id: note.uploadedBy }, {
+    type: approved ? NOTIFICATION_TYPES.NOTE_APPROVED : NOTIFICATION_TYPES.NOTE_REJECTED,
+    title: approved ? 'Your note was approved' : 'Your note was rejected',
+    message: approved
+      ? `"${note.title}" is now visible to everyone`
+      : `"${note.title}" was rejected: ${note.rejectionReason}`,
+    link: `/notes/${note._id}`,
+    note: note._id,
+  });
+};
+
+// @desc    Approve a note
+// @route   PATCH /api/admin/notes/:id/approve
+// @access  Private/Admin
+export const approveNote = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    // Like the bulk paths, moderating a note into its current status is a no-op
+    if (note.status === NOTE_STATUS.APPROVED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note is already approved',
+      });
+    }
+
+    const before = snapshot(note, ['status', 'rejectionReason']);
 
-    // Delete note
-    await Note.findByIdAndDelete(req.params.id);
+    note.status = NOTE_STATUS.APPROVED;
+    note.rejectionReason = undefined;
+    note.moderatedBy = req.user._id;
+    note.moderatedAt = new Date();
+    await note.save();
+
+    await notifyModeration(note, req.user);
+    await audit(req, {
+      action: AUDIT_ACTIONS.NOTE_APPROVE,
+      targetType: 'Note',
+      targetId: note._id,
+      before,
+      after: snapshot(note, ['status', 'rejectionReason']),
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Note deleted successfully',
+      message: 'Note approved successfully',
+      data: note,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reject a note
+// @route   PATCH /api/admin/notes/:id/reject
+// @access  Private/Admin
+export const rejectNote = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const note = await Note.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    // Like the bulk paths, moderating a note into its current status is a no-op
+    if (note.status === NOTE_STATUS.REJECTED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note is already rejected',
+      });
+    }
+
+    const before = snapshot(note, ['status', 'rejectionReason']);
+
+    note.status = NOTE_STATUS.REJECTED;
+    note.rejectionReason = reason;
+    note.moderatedBy = req.user._id;
+    note.moderatedAt = new Date();
+    await note.save();
+
+    await notifyModeration(note, req.user);
+    await audit(req, {
+      action: AUDIT_ACTIONS.NOTE_REJECT,
+      targetType: 'Note',
+      targetId: note._id,
+      before,
+      after: snapshot(note, ['status', 'rejectionReason']),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Note rejected successfully',
+      data: note,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve multiple notes
+// @route   PATCH /api/admin/notes/bulk/approve
+// @access  Private/Admin
+export const bulkApproveNotes = async (req, res) => {
+  try {
+    const { noteIds } = req.body;
+
+    // Only uploaders whose note actually changes status are notified
+    const notes = await Note.find({
+      _id: { $in: noteIds },
+      status: { $ne: NOTE_STATUS.APPROVED },
+    }).select('title subject semester branch uploadedBy status rejectionReason');
+
+    const result = await Note.updateMany(
+      { _id: { $in: noteIds } },
+      {
+        $set: {
+          status: NOTE_STATUS.APPROVED,
+          moderatedBy: req.user._id,
+          moderatedAt: new Date(),
+        },
+        $unset: { rejectionReason: '' },
+      }
+    );
+
+    for (const note of notes) {
+      const before = snapshot(note, ['status', 'rejectionReason']);
+      note.status = NOTE_STATUS.APPROVED;
+      await notifyModeration(note, req.user);
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_APPROVE,
+        targetType: 'Note',
+        targetId: note._id,
+        before,
+        after: { status: NOTE_STATUS.APPROVED },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} note(s) approved successfully`,
+      data: {
+        matched: result.matchedCount,
+        modified: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reject multiple notes
+// @route   PATCH /api/admin/notes/bulk/reject
+// @access  Private/Admin
+export const bulkRejectNotes = async (req, res) => {
+  try {
+    const { noteIds, reason } = req.body;
+
+    const notes = await Note.find({
+      _id: { $in: noteIds },
+      status: { $ne: NOTE_STATUS.REJECTED },
+    }).select('title subject semester branch uploadedBy status rejectionReason');
+
+    const result = await Note.updateMany(
+      { _id: { $in: noteIds } },
+      {
+        $set: {
+          status: NOTE_STATUS.REJECTED,
+          rejectionReason: reason,
+          moderatedBy: req.user._id,
+          moderatedAt: new Date(),
+        },
+      }
+    );
+
+    for (const note of notes) {
+      const before = snapshot(note, ['status', 'rejectionReason']);
+      note.status = NOTE_STATUS.REJECTED;
+      note.rejectionReason = reason;
+      await notifyModeration(note, req.user);
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_REJECT,
+        targetType: 'Note',
+        targetId: note._id,
+        before,
+        after: { status: NOTE_STATUS.REJECTED, rejectionReason: reason },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} note(s) rejected successfully`,
+      data: {
+        matched: result.matchedCount,
+        modified: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+
+// @desc    Get report of duplicate notes
+// @route   GET /api/admin/notes/duplicates
+// @access  Private/Admin
+export const getDuplicateReport = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Notes sharing exactly the same file contents
+    const [result] = await Note.aggregate([
+      { $match: { fileHash: { $exists: true, $ne: null } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$fileHash',
+          count: { $sum: 1 },
+          notes: {
+            $push: {
+              _id: '$_id',
+              title: '$title',
+              subject: '$subject',
+              semester: '$semester',
+              branch: '$branch',
+              status: '$status',
+              uploadedBy: '$uploadedBy',
+              views: '$views',
+              downloads: '$downloads',
+              createdAt: '$createdAt',
+            },
+          },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1 } },
+      {
+        $facet: {
+          groups: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    await User.populate(result.groups, { path: 'notes.uploadedBy', select: 'name email' });
+
+    // Duplicates that were allowed through and flagged at upload time
+    const flagged = await Note.find({ duplicateOf: { $exists: true, $ne: null } })
+      .select('title status uploadedBy duplicateOf createdAt')
+      .populate('uploadedBy', 'name email')
+      .populate('duplicateOf', 'title status')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groups: result.groups,
+        flagged,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+        },
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -285,4 +814,602 @@ export const deleteNoteAdmin = async (req, res) => {
       message: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Merge duplicate notes into one, combining their counts
+// @route   POST /api/admin/notes/duplicates/merge
+// @access  Private/Admin
+export const mergeDuplicateNotes = async (req, res) => {
+  try {
+    const { keepId, mergeIds } = req.body;
+
+    const keepNote = await Note.findById(keepId);
+
+    if (!keepNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note to keep not found',
+      });
+    }
+
+    const notes = await Note.find({ _id: { $in: mergeIds, $ne: keepNote._id } });
+
+    if (notes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No notes to merge found',
+      });
+    }
+
+    // Only exact copies of the kept note can be merged into it
+    const mismatched = notes.filter(note => !keepNote.fileHash || note.fileHash !== keepNote.fileHash);
+    if (mismatched.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only notes with the same file as the kept note can be merged',
+        data: { mismatchedIds: mismatched.map(note => note._id) },
+      });
+    }
+
+    for (const note of notes) {
+      // Move bookmarks to the kept note; ones the user already has on the kept
+      // note are left behind and deleted along with the merged note
+      const bookmarks = await Bookmark.find({ note: note._id });
+
+      for (const bookmark of bookmarks) {
+        const alreadyBookmarked = await Bookmark.exists({
+          user: bookmark.user,
+          note: keepNote._id,
+        });
+
+        if (!alreadyBookmarked) {
+          await withTransaction(async (session) => {
+            await Bookmark.updateOne(
+              { _id: bookmark._id },
+              { $set: { note: keepNote._id } },
+              { session }
+            );
+            await User.updateOne(
+              { _id: bookmark.user },
+              { $addToSet: { bookmarks: keepNote._id } },
+              { session }
+            );
+            await Note.updateOne(
+              { _id: keepNote._id },
+              { $addToSet: { bookmarkedBy: bookmark.user } },
+              { session }
+            );
+          });
+        }
+      }
+
+      // Move reviews, dropping ones that would duplicate a review of the kept note
+      // or let the kept note's uploader rate their own note
+      const reviews = await Review.find({ note: note._id });
+
+      for (const review of reviews) {
+        const alreadyReviewed = await Review.exists({
+          user: review.user,
+          note: keepNote._id,
+        });
+
+        if (alreadyReviewed || review.user.toString() === keepNote.uploadedBy.toString()) {
+          await Review.findByIdAndDelete(review._id);
+        } else {
+          review.note = keepNote._id;
+          await review.save();
+          await Note.applyRatingChange(keepNote._id, review.rating, 1);
+        }
+      }
+
+      // Move comment threads as they are
+      await Comment.updateMany({ note: note._id }, { $set: { note: keepNote._id } });
+
+      // Combine counts
+      await Note.findByIdAndUpdate(keepNote._id, {
+        $inc: { views: note.views, downloads: note.downloads },
+      });
+
+      // Point flagged copies of the merged note at the kept note
+      await Note.updateMany({ duplicateOf: note._id }, { $set: { duplicateOf: keepNote._id } });
+
+      // Delete the merged note and its files
+      await Note.removeWithReferences(note);
+      for (const ref of note.getStoredFileRefs()) {
+        await removeFile(ref);
+      }
+    }
+
+    const mergedNote = await Note.findByIdAndUpdate(
+      keepNote._id,
+      { $unset: { duplicateOf: '' } },
+      { new: true }
+    ).populate('uploadedBy', 'name email branch');
+
+    await audit(req, {
+      action: AUDIT_ACTIONS.NOTE_MERGE,
+      targetType: 'Note',
+      targetId: keepNote._id,
+      before: {
+        views: keepNote.views,
+        downloads: keepNote.downloads,
+        merged: notes.map(note => ({ _id: note._id, ...snapshot(note, NOTE_SNAPSHOT_FIELDS) })),
+      },
+      after: { views: mergedNote.views, downloads: mergedNote.downloads },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${notes.length} note(s) merged successfully`,
+      data: mergedNote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get jobs past their deadline with final applicant counts
+// @route   GET /api/admin/jobs/expired
+// @access  Private/Admin
+export const getExpiredJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = {
+      status: { $ne: 'draft' },
+      applicationDeadline: { $lt: new Date() },
+    };
+
+    const skip = (page - 1) * limit;
+
+    const jobs = await Job.find(query)
+      .populate('postedBy', 'name email')
+      .sort({ applicationDeadline: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Job.countDocuments(query);
+
+    // Applications per status for each job on this page
+    const counts = await Application.aggregate([
+      { $match: { job: { $in: jobs.map(job => job._id) } } },
+      { $group: { _id: { job: '$job', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+
+    const countsByJob = new Map();
+    for (const { _id, count } of counts) {
+      const jobCounts = countsByJob.get(_id.job.toString()) || {};
+      jobCounts[_id.status] = count;
+      countsByJob.set(_id.job.toString(), jobCounts);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ({
+          ...job.toJSON(),
+          applicantCount: job.applicants.length,
+          applicationCounts: countsByJob.get(job._id.toString()) || {},
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get recruiter accounts
+// @route   GET /api/admin/recruiters
+// @access  Private/Admin
+export const getRecruiters = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { role: USER_ROLES.RECRUITER };
+    if (status) query.recruiterStatus = status;
+
+    const skip = (page - 1) * limit;
+
+    const recruiters = await User.find(query)
+      .populate('company', 'name website isVerified')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recruiters,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Helper function to approve or reject a recruiter account
+const setRecruiterStatus = async (req, res, status) => {
+  try {
+    const recruiter = await User.findOne({
+      _id: req.params.id,
+      role: USER_ROLES.RECRUITER,
+    }).populate('company', 'name isVerified');
+
+    if (!recruiter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recruiter not found',
+      });
+    }
+
+    // Approving a recruiter who claims a verified company also vouches for that claim
+    const confirmsCompany = status === RECRUITER_STATUS.APPROVED && recruiter.companyConfirmed === false;
+    if (confirmsCompany && !req.body.confirmCompany) {
+      return res.status(400).json({
+        success: false,
+        message: `${recruiter.company?.name ?? 'The company'} is a verified company; set confirmCompany to confirm this recruiter belongs to it`,
+      });
+    }
+
+    const recruiterFields = ['recruiterStatus', 'recruiterRejectionReason', 'companyConfirmed'];
+    const before = snapshot(recruiter, recruiterFields);
+
+    if (confirmsCompany) recruiter.companyConfirmed = true;
+    recruiter.recruiterStatus = status;
+    recruiter.recruiterRejectionReason =
+      status === RECRUITER_STATUS.REJECTED ? req.body.reason : undefined;
+    await recruiter.save();
+
+    await audit(req, {
+      action: status === RECRUITER_STATUS.APPROVED
+        ? AUDIT_ACTIONS.RECRUITER_APPROVE
+        : AUDIT_ACTIONS.RECRUITER_REJECT,
+      targetType: 'User',
+      targetId: recruiter._id,
+      before,
+      after: snapshot(recruiter, recruiterFields),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Recruiter ${status} successfully`,
+      data: recruiter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve a recruiter account, confirming their claim to a verified company
+// @route   PATCH /api/admin/recruiters/:id/approve
+// @access  Private/Admin
+export const approveRecruiter = (req, res) =>
+  setRecruiterStatus(req, res, RECRUITER_STATUS.APPROVED);
+
+// @desc    Reject a recruiter account
+// @route   PATCH /api/admin/recruiters/:id/reject
+// @access  Private/Admin
+export const rejectRecruiter = (req, res) =>
+  setRecruiterStatus(req, res, RECRUITER_STATUS.REJECTED);
+
+// @desc    Get companies
+// @route   GET /api/admin/companies
+// @access  Private/Admin
+export const getCompanies = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, verified } = req.query;
+
+    const query = {};
+    if (search) query.name = new RegExp(escapeRegExp(search), 'i');
+    if (verified !== undefined) query.isVerified = verified === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const companies = await Company.find(query)
+      .populate('verifiedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Company.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        companies,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Helper function to (un)verify a company; its jobs follow the company's status
+const setCompanyVerification = async (req, res, isVerified) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
+    const wasVerified = company.isVerified;
+
+    company.isVerified = isVerified;
+    company.verifiedBy = isVerified ? req.user._id : undefined;
+    company.verifiedAt = isVerified ? new Date() : undefined;
+    await company.save();
+
+    const result = await Job.updateMany({ companyId: company._id }, { isVerified });
+
+    await audit(req, {
+      action: isVerified ? AUDIT_ACTIONS.COMPANY_VERIFY : AUDIT_ACTIONS.COMPANY_UNVERIFY,
+      targetType: 'Company',
+      targetId: company._id,
+      before: { isVerified: wasVerified },
+      after: { isVerified, jobsUpdated: result.modifiedCount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Company ${isVerified ? 'verified' : 'unverified'} successfully`,
+      data: {
+        company,
+        jobsUpdated: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Verify a company and all of its jobs
+// @route   PATCH /api/admin/companies/:id/verify
+// @access  Private/Admin
+export const verifyCompany = (req, res) => setCompanyVerification(req, res, true);
+
+// @desc    Revoke a company's verification and that of its jobs
+// @route   PATCH /api/admin/companies/:id/unverify
+// @access  Private/Admin
+export const unverifyCompany = (req, res) => setCompanyVerification(req, res, false);
+
+// @desc    Get all comments (admin view)
+// @route   GET /api/admin/comments
+// @access  Private/Admin
+export const getAllComments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, note, author, includeDeleted } = req.query;
+
+    const query = {};
+    if (note) query.note = note;
+    if (author) query.author = author;
+    if (includeDeleted !== 'true') query.isDeleted = false;
+
+    const skip = (page - 1) * limit;
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name email')
+      .populate('note', 'title')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Comment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a comment (moderation)
+// @route   DELETE /api/admin/comments/:id
+// @access  Private/Admin
+export const deleteCommentAdmin = async (req, res) => {
+  try {
+    // The pre-deletion comment, so the audit entry keeps what was removed
+    const comment = await Comment.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: false },
+      { $set: { isDeleted: true, deletedBy: 'admin' }, $unset: { body: '' } }
+    );
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    await audit(req, {
+      action: AUDIT_ACTIONS.COMMENT_DELETE,
+      targetType: 'Comment',
+      targetId: comment._id,
+      before: snapshot(comment, ['note', 'author', 'body']),
+      after: { isDeleted: true },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Columns of the audit log CSV export
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+  'ip',
+  'userAgent',
+];
+
+// @desc    Get the audit log with filters (format=csv exports every match)
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+export const getAuditLog = async (req, res) => {
+  try {
+    const {
+      actor,
+      action,
+      targetType,
+      targetId,
+      from,
+      to,
+      format,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+      );
+      res.write(toCsvRow(AUDIT_CSV_COLUMNS));
+
+      const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+      for await (const entry of cursor) {
+        if (res.destroyed) break;
+        res.write(toCsvRow(AUDIT_CSV_COLUMNS.map(column => entry[column])));
+      }
+
+      return res.end();
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    // Once the export has started the only way to signal failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Detect and repair drift between bookmarks, applications and the arrays denormalized from them
+// @route   POST /api/admin/maintenance/reconcile
+// @access  Private/Admin
+export const reconcileData = async (req, res) => {
+  try {
+    const report = await reconcileReferences({ dryRun: req.query.dryRun === 'true' });
+
+    if (!report.dryRun) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.DATA_RECONCILE,
+        targetType: 'System',
+        after: report,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: report.dryRun ? 'Drift report generated' : 'Data reconciled successfully',
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
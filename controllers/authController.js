@@ -1,5 +1,45 @@
 import User from '../models/User.js';
+import Company from '../models/Company.js';
+import RefreshToken from '../models/RefreshToken.js';
 import generateToken from '../utils/generateToken.js';
+import { USER_ROLES, RECRUITER_STATUS } from '../utils/constants.js';
+import sendMail from '../utils/mailer/index.js';
+import { isPdf, storeResume, removeResume, sendResume } from '../utils/resume.js';
+import {
+  passwordResetEmail,
+  passwordChangedEmail,
+  emailVerificationEmail,
+} from '../utils/mailer/templates.js';
+
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+// Helper function to issue an access token and a refresh token for a new session
+const issueSession = async (user, req, family) => {
+  const token = generateToken(user);
+  const refreshToken = await RefreshToken.issue(user, {
+    family,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  return { token, refreshToken };
+};
+
+// Helper function to create a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRE_HOURS);
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      token: verificationToken,
+      expiresInHours: EMAIL_VERIFICATION_EXPIRE_HOURS,
+    }),
+  });
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -26,8 +66,15 @@ export const register = async (req, res) => {
       semester,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Email verification failures shouldn't block registration; users can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -40,8 +87,88 @@ export const register = async (req, res) => {
           branch: user.branch,
           semester: user.semester,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Register a recruiter account for a company (awaits admin approval)
+// @route   POST /api/auth/register/recruiter
+// @access  Public
+export const registerRecruiter = async (req, res) => {
+  try {
+    const { name, email, password, companyName, companyWebsite } = req.body;
+
+    // Check if user already exists
+    const userExists = await User.findOne({ email });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email',
+      });
+    }
+
+    // Recruiters from the same company share one company record
+    const company = await Company.findOrCreate(companyName, { website: companyWebsite });
+
+    // Anyone can claim a company's name, so joining an already verified company
+    // needs an admin to confirm the link when approving the recruiter
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role: USER_ROLES.RECRUITER,
+      company: company._id,
+      companyConfirmed: !company.isVerified,
+      recruiterStatus: RECRUITER_STATUS.PENDING,
+    });
+
+    if (!company.createdBy) {
+      await Company.updateOne(
+        { _id: company._id, createdBy: { $exists: false } },
+        { createdBy: user._id }
+      );
+    }
+
+    // Email verification failures shouldn't block registration; users can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recruiter registered successfully. You can post jobs once an admin approves your account.',
+      data: {
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          company: {
+            _id: company._id,
+            name: company.name,
+            isVerified: company.isVerified,
+          },
+          companyConfirmed: user.companyConfirmed,
+          recruiterStatus: user.recruiterStatus,
+          isEmailVerified: user.isEmailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -87,8 +214,8 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -101,8 +228,10 @@ export const login = async (req, res) => {
           branch: user.branch,
           semester: user.semester,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -139,7 +268,7 @@ export const getMe = async (req, res) => {
 // @access  Private
 export const updateProfile = async (req, res) => {
   try {
-    const { name, branch, semester } = req.body;
+    const { name, branch, semester, cgpa, graduationYear } = req.body;
 
     const user = await User.findById(req.user._id);
 
@@ -153,6 +282,8 @@ export const updateProfile = async (req, res) => {
     user.name = name || user.name;
     user.branch = branch || user.branch;
     user.semester = semester || user.semester;
+    if (cgpa !== undefined) user.cgpa = cgpa;
+    if (graduationYear !== undefined) user.graduationYear = graduationYear;
 
     const updatedUser = await user.save();
 
@@ -167,4 +298,430 @@ export const updateProfile = async (req, res) => {
       message: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Upload the default resume attached to job applications
+// @route   PUT /api/auth/profile/resume
+// @access  Private
+export const uploadProfileResume = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a resume',
+      });
+    }
+
+    if (!isPdf(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resume must be a valid PDF file',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const previousResume = user.resume;
+    user.resume = await storeResume(req.file.buffer, req.file.originalname);
+
+    try {
+      await user.save();
+    } catch (error) {
+      await removeResume(user.resume);
+      throw error;
+    }
+
+    // Applications keep their own copies, so the old file can go
+    await removeResume(previousResume);
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume uploaded successfully',
+      data: user.resume,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download own default resume
+// @route   GET /api/auth/profile/resume
+// @access  Private
+export const downloadProfileResume = async (req, res) => {
+  try {
+    if (!req.user.resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found',
+      });
+    }
+
+    await sendResume(res, req.user.resume);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove own default resume
+// @route   DELETE /api/auth/profile/resume
+// @access  Private
+export const deleteProfileResume = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user || !user.resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found',
+      });
+    }
+
+    const resume = user.resume;
+    user.resume = undefined;
+    await user.save();
+
+    await removeResume(resume);
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume removed successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(refreshToken),
+    });
+
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+      });
+    }
+
+    // Claim the token atomically so concurrent requests cannot both rotate it
+    const claimedToken = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // A revoked token being presented again means it was stolen and replayed,
+    // so every token descended from the same login is revoked
+    if (!claimedToken) {
+      await RefreshToken.updateMany(
+        { family: storedToken.family, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+      );
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, please log in again',
+      });
+    }
+
+    if (storedToken.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token expired',
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user || !user.isActive || user.tokenVersion !== storedToken.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again',
+      });
+    }
+
+    // Rotate: the presented token is replaced by a new one in the same family
+    const tokens = await issueSession(user, req, storedToken.family);
+    await RefreshToken.updateOne(
+      { _id: storedToken._id },
+      { $set: { replacedByHash: RefreshToken.hashToken(tokens.refreshToken) } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Logout (revoke the given refresh token)
+// @route   POST /api/auth/logout
+// @access  Public
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await RefreshToken.updateOne(
+      {
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        revokedAt: { $exists: false },
+      },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    // Bumping the token version invalidates every access token already issued
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.revokeAllForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(currentPassword);
+
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    // Hashed and tokenVersion bumped by the pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) }).catch(
+      (error) => console.error('Password changed email error:', error)
+    );
+
+    // Keep the current device signed in with a fresh session
+    const { token, refreshToken } = await issueSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only send an email to active accounts, but always respond the same way
+    // so the endpoint can't be used to discover registered emails
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetEmail({
+            name: user.name,
+            token: resetToken,
+            expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES,
+          }),
+        });
+      } catch (error) {
+        // Logged rather than reported: a failure here would reveal the account exists
+        console.error('Password reset email error:', error);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reset password using an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const hashedToken = User.hashToken(req.params.token);
+
+    // Clear the token in the same operation that finds it so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetToken: '', passwordResetExpires: '' } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: '', emailVerificationExpires: '' },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,6 +1,9 @@
 import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
 import Note from '../models/Note.js';
 import User from '../models/User.js';
+import { NOTE_STATUS } from '../utils/constants.js';
+import { notifyNoteBookmarked } from '../utils/notify.js';
 
 // @desc    Add bookmark
 // @route   POST /api/bookmarks/:noteId
@@ -8,10 +11,11 @@ import User from '../models/User.js';
 export const addBookmark = async (req, res) => {
   try {
     const { noteId } = req.params;
+    const { collectionId } = req.body || {};
 
-    // Check if note exists
+    // Check if note exists and is approved
     const note = await Note.findById(noteId);
-    if (!note) {
+    if (!note || note.status !== NOTE_STATUS.APPROVED) {
       return res.status(404).json({
         success: false,
         message: 'Note not found',
@@ -31,21 +35,22 @@ export const addBookmark = async (req, res) => {
       });
     }
 
-    // Create bookmark
-    const bookmark = await Bookmark.create({
-      user: req.user._id,
-      note: noteId,
-    });
+    // Resolve the target collection (the default one unless specified)
+    const collection = collectionId
+      ? await BookmarkCollection.findOne({ _id: collectionId, user: req.user._id })
+      : await BookmarkCollection.getDefault(req.user._id);
 
-    // Add to user's bookmarks array
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { bookmarks: noteId },
-    });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
 
-    // Add to note's bookmarkedBy array
-    await Note.findByIdAndUpdate(noteId, {
-      $push: { bookmarkedBy: req.user._id },
-    });
+    // Create bookmark (recorded on the user and note in the same transaction)
+    const bookmark = await Bookmark.addForUser(req.user._id, noteId, collection._id);
+
+    await notifyNoteBookmarked(note, req.user);
 
     res.status(201).json({
       success: true,
@@ -67,8 +72,8 @@ export const removeBookmark = async (req, res) => {
   try {
     const { noteId } = req.params;
 
-    // Find and delete bookmark
-    const bookmark = await Bookmark.findOneAndDelete({
+    // Find and delete bookmark (removed from the user and note in the same transaction)
+    const bookmark = await Bookmark.removeForUser({
       user: req.user._id,
       note: noteId,
     });
@@ -80,16 +85,6 @@ export const removeBookmark = async (req, res) => {
       });
     }
 
-    // Remove from user's bookmarks array
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { bookmarks: noteId },
-    });
-
-    // Remove from note's bookmarkedBy array
-    await Note.findByIdAndUpdate(noteId, {
-      $pull: { bookmarkedBy: req.user._id },
-    });
-
     res.status(200).json({
       success: true,
       message: 'Bookmark removed successfully',
@@ -107,7 +102,12 @@ export const removeBookmark = async (req, res) => {
 // @access  Private
 export const getMyBookmarks = async (req, res) => {
   try {
-    const bookmarks = await Bookmark.find({ user: req.user._id })
+    const { collection } = req.query;
+
+    const query = { user: req.user._id };
+    if (collection) query.bookmarkCollection = collection;
+
+    const bookmarks = await Bookmark.find(query)
       .populate({
         path: 'note',
         populate: {
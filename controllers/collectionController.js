@@ -0,0 +1,334 @@
+import BookmarkCollection from '../models/BookmarkCollection.js';
+import Bookmark from '../models/Bookmark.js';
+import Note from '../models/Note.js';
+import { NOTE_STATUS } from '../utils/constants.js';
+import { notifyNoteBookmarked } from '../utils/notify.js';
+
+// @desc    Get user's bookmark collections
+// @route   GET /api/bookmarks/collections
+// @access  Private
+export const getCollections = async (req, res) => {
+  try {
+    await BookmarkCollection.getDefault(req.user._id);
+
+    const collections = await BookmarkCollection.find({ user: req.user._id })
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    // Count bookmarks per collection
+    const counts = await Bookmark.aggregate([
+      { $match: { user: req.user._id } },
+      { $group: { _id: '$bookmarkCollection', count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map(item => [String(item._id), item.count]));
+
+    res.status(200).json({
+      success: true,
+      data: collections.map(collection => ({
+        ...collection,
+        noteCount: countMap.get(collection._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a bookmark collection
+// @route   POST /api/bookmarks/collections
+// @access  Private
+export const createCollection = async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    // New collections go to the end of the list
+    const last = await BookmarkCollection.findOne({ user: req.user._id }).sort({ order: -1 });
+
+    const collection = await BookmarkCollection.create({
+      user: req.user._id,
+      name,
+      description,
+      isPublic: isPublic === true || isPublic === 'true',
+      order: last ? last.order + 1 : 1,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a collection with this name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update (rename, describe, share) a bookmark collection
+// @route   PATCH /api/bookmarks/collections/:id
+// @access  Private
+export const updateCollection = async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    const collection = await BookmarkCollection.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    if (name !== undefined) collection.name = name;
+    if (description !== undefined) collection.description = description;
+    if (isPublic !== undefined) collection.isPublic = isPublic === true || isPublic === 'true';
+
+    const updatedCollection = await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: updatedCollection,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a collection with this name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reorder bookmark collections
+// @route   PUT /api/bookmarks/collections/order
+// @access  Private
+export const reorderCollections = async (req, res) => {
+  try {
+    const { collectionIds } = req.body;
+
+    await BookmarkCollection.bulkWrite(
+      collectionIds.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, user: req.user._id },
+          update: { $set: { order: index } },
+        },
+      }))
+    );
+
+    const collections = await BookmarkCollection.find({ user: req.user._id }).sort({
+      order: 1,
+      createdAt: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Collections reordered successfully',
+      data: collections,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a bookmark collection (its bookmarks move to the default collection)
+// @route   DELETE /api/bookmarks/collections/:id
+// @access  Private
+export const deleteCollection = async (req, res) => {
+  try {
+    const collection = await BookmarkCollection.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    if (collection.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default collection cannot be deleted',
+      });
+    }
+
+    const defaultCollection = await BookmarkCollection.getDefault(req.user._id);
+
+    await Bookmark.updateMany(
+      { user: req.user._id, bookmarkCollection: collection._id },
+      { $set: { bookmarkCollection: defaultCollection._id } }
+    );
+
+    await BookmarkCollection.findByIdAndDelete(collection._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add a note to a collection (bookmarking it, or moving an existing bookmark)
+// @route   POST /api/bookmarks/collections/:id/notes/:noteId
+// @access  Private
+export const addNoteToCollection = async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+
+    const collection = await BookmarkCollection.findOne({ _id: id, user: req.user._id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    const note = await Note.findById(noteId);
+    if (!note || note.status !== NOTE_STATUS.APPROVED) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    const existingBookmark = await Bookmark.findOne({
+      user: req.user._id,
+      note: noteId,
+    });
+
+    if (existingBookmark) {
+      existingBookmark.bookmarkCollection = collection._id;
+      const movedBookmark = await existingBookmark.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Note moved to collection successfully',
+        data: movedBookmark,
+      });
+    }
+
+    const bookmark = await Bookmark.addForUser(req.user._id, noteId, collection._id);
+
+    await notifyNoteBookmarked(note, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added to collection successfully',
+      data: bookmark,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a note from a collection (removes the bookmark)
+// @route   DELETE /api/bookmarks/collections/:id/notes/:noteId
+// @access  Private
+export const removeNoteFromCollection = async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+
+    const bookmark = await Bookmark.removeForUser({
+      user: req.user._id,
+      note: noteId,
+      bookmarkCollection: id,
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found in this collection',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Note removed from collection successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    View a public collection through its share link
+// @route   GET /api/bookmarks/collections/shared/:shareId
+// @access  Public
+export const getSharedCollection = async (req, res) => {
+  try {
+    const collection = await BookmarkCollection.findOne({
+      shareId: req.params.shareId,
+      isPublic: true,
+    }).populate('user', 'name branch');
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    const bookmarks = await Bookmark.find({ bookmarkCollection: collection._id })
+      .populate({
+        path: 'note',
+        match: { status: NOTE_STATUS.APPROVED },
+        populate: {
+          path: 'uploadedBy',
+          select: 'name branch',
+        },
+      })
+      .sort({ createdAt: -1 });
+
+    const notes = bookmarks.map(bookmark => bookmark.note).filter(note => note !== null);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        name: collection.name,
+        description: collection.description,
+        owner: collection.user,
+        notes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
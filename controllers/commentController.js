@@ -0,0 +1,319 @@
+import Comment from '../models/Comment.js';
+import Note from '../models/Note.js';
+import { NOTIFICATION_TYPES } from '../utils/constants.js';
+import { notify } from '../utils/notify.js';
+
+// Helper function to shape a comment for the response
+const formatComment = (comment, user) => ({
+  ...comment.toJSON(),
+  hasUpvoted: user ? comment.upvotes.some(id => id.equals(user._id)) : false,
+});
+
+// @desc    Get comments for a note (paginated top-level comments with their replies)
+// @route   GET /api/notes/:id/comments
+// @access  Public
+export const getNoteComments = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'createdAt' } = req.query;
+
+    const note = await Note.findById(req.params.id);
+
+    if (!note || !note.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    const skip = (page - 1) * limit;
+    const query = { note: note._id, parent: null };
+    const sort = sortBy === 'upvotes'
+      ? { upvoteCount: -1, createdAt: -1 }
+      : { createdAt: -1 };
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name branch')
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Comment.countDocuments(query);
+
+    // Load every reply of these threads at once and nest them under their parents
+    const replies = await Comment.find({ root: { $in: comments.map(comment => comment._id) } })
+      .populate('author', 'name branch')
+      .sort({ createdAt: 1 });
+
+    const nodes = new Map(
+      [...comments, ...replies].map(comment => [
+        comment._id.toString(),
+        { ...formatComment(comment, req.user), replies: [] },
+      ])
+    );
+
+    for (const reply of replies) {
+      nodes.get(reply.parent.toString())?.replies.push(nodes.get(reply._id.toString()));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments: comments.map(comment => nodes.get(comment._id.toString())),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Comment on a note or reply to a comment
+// @route   POST /api/notes/:id/comments
+// @access  Private
+export const addComment = async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    const note = await Note.findById(req.params.id);
+
+    if (!note || !note.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, note: note._id });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found',
+        });
+      }
+
+      if (parent.isDeleted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a deleted comment',
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      note: note._id,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      root: parent ? parent.root || parent._id : null,
+      body,
+      isUploaderReply: note.uploadedBy.toString() === req.user._id.toString(),
+    });
+
+    // Notify the uploader and the author being replied to, but never the commenter
+    const recipients = [note.uploadedBy, parent?.author]
+      .filter(id => id && id.toString() !== req.user._id.toString());
+
+    if (recipients.length > 0) {
+      await notify({ _id: { $in: recipients } }, {
+        type: NOTIFICATION_TYPES.NOTE_COMMENT,
+        title: parent ? 'New reply to a comment' : 'New comment on your note',
+        message: `${req.user.name} commented on "${note.title}"`,
+        link: `/notes/${note._id}#comment-${comment._id}`,
+        note: note._id,
+      });
+    }
+
+    await comment.populate('author', 'name branch');
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply added successfully' : 'Comment added successfully',
+      data: formatComment(comment, req.user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Edit own comment
+// @route   PUT /api/notes/:id/comments/:commentId
+// @access  Private
+export const updateComment = async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      note: req.params.id,
+      isDeleted: false,
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment',
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    const updatedComment = await comment.save();
+
+    await updatedComment.populate('author', 'name branch');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: formatComment(updatedComment, req.user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete own comment (replies stay in the thread)
+// @route   DELETE /api/notes/:id/comments/:commentId
+// @access  Private
+export const deleteComment = async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      note: req.params.id,
+      isDeleted: false,
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment',
+      });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedBy = 'author';
+    comment.body = undefined;
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Upvote a comment
+// @route   POST /api/notes/:id/comments/:commentId/upvote
+// @access  Private
+export const upvoteComment = async (req, res) => {
+  try {
+    // Only counts when the user hasn't upvoted yet, so the count stays in step with the array
+    const comment = await Comment.findOneAndUpdate(
+      {
+        _id: req.params.commentId,
+        note: req.params.id,
+        isDeleted: false,
+        upvotes: { $ne: req.user._id },
+      },
+      {
+        $push: { upvotes: req.user._id },
+        $inc: { upvoteCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!comment) {
+      const exists = await Comment.exists({
+        _id: req.params.commentId,
+        note: req.params.id,
+        isDeleted: false,
+      });
+
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Comment already upvoted' : 'Comment not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment upvoted successfully',
+      data: { upvoteCount: comment.upvoteCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove upvote from a comment
+// @route   DELETE /api/notes/:id/comments/:commentId/upvote
+// @access  Private
+export const removeCommentUpvote = async (req, res) => {
+  try {
+    const comment = await Comment.findOneAndUpdate(
+      {
+        _id: req.params.commentId,
+        note: req.params.id,
+        upvotes: req.user._id,
+      },
+      {
+        $pull: { upvotes: req.user._id },
+        $inc: { upvoteCount: -1 },
+      },
+      { new: true }
+    );
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upvote not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Upvote removed successfully',
+      data: { upvoteCount: comment.upvoteCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,31 @@
+import { verifyFileSignature, sendFile } from '../utils/fileUrl.js';
+
+// @desc    Download a locally stored file through a signed URL
+// @route   GET /api/files?signature=
+// @access  Public (signed URL)
+export const serveFile = async (req, res) => {
+  try {
+    const ref = verifyFileSignature(req.query.signature);
+
+    if (!ref) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired',
+      });
+    }
+
+    await sendFile(res, ref);
+  } catch (error) {
+    // A missing file surfaces when the driver opens it
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
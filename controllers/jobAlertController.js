@@ -0,0 +1,141 @@
+import JobAlert, { MAX_ALERTS_PER_USER } from '../models/JobAlert.js';
+
+// Helper function to pick the alert fields a user may set
+const alertFields = ({ name, type, locationType, location, skills, minStipend, frequency, isActive }) => ({
+  name,
+  criteria: { type, locationType, location, skills, minStipend },
+  frequency,
+  isActive,
+});
+
+// @desc    Get own job alerts
+// @route   GET /api/jobs/user/alerts
+// @access  Private
+export const getJobAlerts = async (req, res) => {
+  try {
+    const alerts = await JobAlert.find({ user: req.user._id })
+      .select('-pendingJobs')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: alerts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a job alert (saved search)
+// @route   POST /api/jobs/user/alerts
+// @access  Private
+export const createJobAlert = async (req, res) => {
+  try {
+    const count = await JobAlert.countDocuments({ user: req.user._id });
+
+    if (count >= MAX_ALERTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ALERTS_PER_USER} job alerts`,
+      });
+    }
+
+    const alert = await JobAlert.create({
+      ...alertFields(req.body),
+      user: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Job alert created successfully',
+      data: alert,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update own job alert
+// @route   PUT /api/jobs/user/alerts/:alertId
+// @access  Private
+export const updateJobAlert = async (req, res) => {
+  try {
+    const alert = await JobAlert.findOne({ _id: req.params.alertId, user: req.user._id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job alert not found',
+      });
+    }
+
+    const { name, criteria, frequency, isActive } = alertFields(req.body);
+
+    if (name !== undefined) alert.name = name;
+    for (const [field, value] of Object.entries(criteria)) {
+      if (value !== undefined) alert.criteria[field] = value === null ? undefined : value;
+    }
+    if (frequency !== undefined) alert.frequency = frequency;
+    if (isActive !== undefined) alert.isActive = isActive;
+
+    if (!alert.hasCriteria()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set at least one of type, locationType, location, skills or minStipend',
+      });
+    }
+
+    // Matches collected for a digest are dropped once the alert stops being one
+    if (alert.frequency !== 'daily' || !alert.isActive) {
+      alert.pendingJobs = [];
+    }
+
+    const updatedAlert = await alert.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Job alert updated successfully',
+      data: updatedAlert,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete own job alert
+// @route   DELETE /api/jobs/user/alerts/:alertId
+// @access  Private
+export const deleteJobAlert = async (req, res) => {
+  try {
+    const alert = await JobAlert.findOneAndDelete({
+      _id: req.params.alertId,
+      user: req.user._id,
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job alert not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job alert deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,19 +1,103 @@
+import { matchedData } from 'express-validator';
 import Job from '../models/Job.js';
+import Company from '../models/Company.js';
 import Application from '../models/Application.js';
+import SavedJob from '../models/SavedJob.js';
+import JobView from '../models/JobView.js';
+import JobAlert from '../models/JobAlert.js';
 import User from '../models/User.js';
+import { withTransaction } from '../config/db.js';
+import {
+  USER_ROLES,
+  PERMISSIONS,
+  NOTIFICATION_TYPES,
+  AUDIT_ACTIONS,
+  APPLICATION_STATUS,
+  WITHDRAWABLE_STATUSES,
+} from '../utils/constants.js';
+import { notify } from '../utils/notify.js';
+import { announceNewJob } from '../utils/jobAlerts.js';
+import { publishApplicationStatus } from '../utils/realtime.js';
+import { audit, snapshot, JOB_SNAPSHOT_FIELDS } from '../utils/audit.js';
+import {
+  isPdf,
+  storeResume,
+  copyResume,
+  removeResume,
+  signResumeUrl,
+  verifyResumeSignature,
+  sendResume,
+} from '../utils/resume.js';
+
+// Tell an applicant their application moved; `application.job` must be populated
+const notifyApplicationStatus = async (application) => {
+  const { job } = application;
+
+  await publishApplicationStatus(application);
+  await notify({ _id: application.applicant }, {
+    type: NOTIFICATION_TYPES.APPLICATION_STATUS,
+    title: `Application ${application.status}`,
+    message: `Your application for ${job.title} at ${job.company} is now ${application.status}`,
+    link: `/jobs/${job._id}`,
+    job: job._id,
+  });
+};
+
+// Record a status change made by someone other than the job's owner;
+// `application.job` must be populated
+const auditApplicationStatus = async (req, application, before) => {
+  if (application.job.isOwnedBy(req.user)) return;
+
+  await audit(req, {
+    action: AUDIT_ACTIONS.APPLICATION_STATUS,
+    targetType: 'Application',
+    targetId: application._id,
+    before,
+    after: snapshot(application, ['status']),
+  });
+};
+
+// Helper function to post a job on behalf of a company: its name is used and
+// the job is verified exactly when the company is
+const applyCompany = async (jobData, companyId) => {
+  const company = await Company.findById(companyId);
+  if (!company) return false;
+
+  jobData.companyId = company._id;
+  jobData.company = company.name;
+  jobData.isVerified = company.isVerified;
+  return true;
+};
 
 // @desc    Create a new job/internship
 // @route   POST /api/jobs
-// @access  Private (Admin only)
+// @access  Private (Admin or approved recruiter)
 export const createJob = async (req, res) => {
   try {
+    // Only the fields whitelisted by jobValidation
     const jobData = {
-      ...req.body,
+      ...matchedData(req, { locations: ['body'] }),
       postedBy: req.user._id,
     };
 
+    // Recruiters always post for their own company; admins may pick one
+    const companyId = req.user.role === USER_ROLES.RECRUITER ? req.user.company : jobData.companyId;
+    if (companyId && !(await applyCompany(jobData, companyId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
     const job = await Job.create(jobData);
 
+    // Announced in the background; alert matching shouldn't hold up the response
+    if (job.status === 'active') {
+      announceNewJob(job).catch(
+        (error) => console.error(`Job announcement error for job ${job._id}:`, error)
+      );
+    }
+
     res.status(201).json({
       success: true,
       message: 'Job posted successfully',
@@ -27,6 +111,17 @@ export const createJob = async (req, res) => {
   }
 };
 
+// Job as JSON, annotated with whether the logged-in user (if any) is eligible
+const withEligibility = (job, user) => {
+  const data = job.toJSON();
+  if (user) {
+    const { eligible, reasons } = job.checkEligibility(user);
+    data.isEligible = eligible;
+    data.ineligibilityReasons = reasons;
+  }
+  return data;
+};
+
 // @desc    Get all jobs/internships with filters
 // @route   GET /api/jobs
 // @access  Public
@@ -42,8 +137,16 @@ export const getJobs = async (req, res) => {
       limit = 12,
       sortBy = 'createdAt',
       order = 'desc',
+      eligibleOnly,
     } = req.query;
 
+    if (eligibleOnly === 'true' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Log in to see the jobs you are eligible for',
+      });
+    }
+
     // Build query
     const query = { status };
 
@@ -61,6 +164,10 @@ export const getJobs = async (req, res) => {
     // Only show jobs with deadline not passed
     query.applicationDeadline = { $gte: new Date() };
 
+    if (eligibleOnly === 'true') {
+      Object.assign(query, Job.eligibilityFilter(req.user));
+    }
+
     const skip = (page - 1) * limit;
 
     const jobs = await Job.find(query)
@@ -74,7 +181,7 @@ export const getJobs = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        jobs,
+        jobs: jobs.map(job => withEligibility(job, req.user)),
         pagination: {
           total,
           page: parseInt(page),
@@ -108,9 +215,18 @@ export const getJobById = async (req, res) => {
       });
     }
 
+    // Students who looked at the job get its deadline reminder
+    if (req.user && req.user.role === USER_ROLES.STUDENT) {
+      await JobView.updateOne(
+        { user: req.user._id, job: job._id },
+        { $setOnInsert: { user: req.user._id, job: job._id } },
+        { upsert: true }
+      );
+    }
+
     res.status(200).json({
       success: true,
-      data: job,
+      data: withEligibility(job, req.user),
     });
   } catch (error) {
     res.status(500).json({
@@ -122,7 +238,7 @@ export const getJobById = async (req, res) => {
 
 // @desc    Update job
 // @route   PUT /api/jobs/:id
-// @access  Private (Admin only)
+// @access  Private (Admin or recruiter of the job's company)
 export const updateJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -134,20 +250,67 @@ export const updateJob = async (req, res) => {
       });
     }
 
-    // Check ownership or admin
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check the user manages this job
+    if (!job.isManageableBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this job',
       });
     }
 
+    // Only the fields whitelisted by jobUpdateValidation
+    const updates = matchedData(req, { locations: ['body'] });
+
+    // stipend: null removes the stipend (matchedData leaves null fields out)
+    const removeStipend = req.body.stipend === null;
+    if (removeStipend) updates.$unset = { stipend: 1 };
+
+    // The validator can only check this when the type is part of the update
+    const type = updates.type || job.type;
+    const stipend = removeStipend ? null : updates.stipend || job.stipend;
+    if (type !== 'Internship' && stipend?.amount != null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stipend is only allowed for internships',
+      });
+    }
+
+    // Ownership and verification follow the company, which only job managers can change
+    if (!req.user.hasPermission(PERMISSIONS.JOBS_MANAGE)) {
+      delete updates.companyId;
+      delete updates.company;
+      delete updates.isVerified;
+    } else if (updates.companyId && !(await applyCompany(updates, updates.companyId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
     const updatedJob = await Job.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
+    // Edits to another company's job are a moderation action
+    if (!job.isOwnedBy(req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.JOB_UPDATE,
+        targetType: 'Job',
+        targetId: job._id,
+        before: snapshot(job, JOB_SNAPSHOT_FIELDS),
+        after: snapshot(updatedJob, JOB_SNAPSHOT_FIELDS),
+      });
+    }
+
+    // Publishing a draft announces it like a new posting
+    if (job.status === 'draft' && updatedJob.status === 'active') {
+      announceNewJob(updatedJob).catch(
+        (error) => console.error(`Job announcement error for job ${job._id}:`, error)
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Job updated successfully',
@@ -161,9 +324,90 @@ export const updateJob = async (req, res) => {
   }
 };
 
+// @desc    Schedule a draft job to go live (publishAt: null unschedules it)
+// @route   PATCH /api/jobs/:id/schedule
+// @access  Private (Admin or recruiter of the job's company)
+export const scheduleJob = async (req, res) => {
+  try {
+    const { publishAt } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check the user manages this job
+    if (!job.isManageableBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to schedule this job',
+      });
+    }
+
+    if (job.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft jobs can be scheduled',
+      });
+    }
+
+    if (publishAt) {
+      const publishDate = new Date(publishAt);
+
+      if (publishDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Publish time must be in the future',
+        });
+      }
+
+      if (publishDate >= job.applicationDeadline) {
+        return res.status(400).json({
+          success: false,
+          message: 'Publish time must be before the application deadline',
+        });
+      }
+
+      job.publishAt = publishDate;
+    } else {
+      job.publishAt = undefined;
+    }
+
+    const before = snapshot(job, ['publishAt']);
+    const updatedJob = await job.save();
+
+    if (!job.isOwnedBy(req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.JOB_SCHEDULE,
+        targetType: 'Job',
+        targetId: job._id,
+        before,
+        after: snapshot(updatedJob, ['publishAt']),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updatedJob.publishAt
+        ? `Job scheduled to go live at ${updatedJob.publishAt.toISOString()}`
+        : 'Job unscheduled',
+      data: updatedJob,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Delete job
 // @route   DELETE /api/jobs/:id
-// @access  Private (Admin only)
+// @access  Private (Admin or recruiter of the job's company)
 export const deleteJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -175,18 +419,42 @@ export const deleteJob = async (req, res) => {
       });
     }
 
-    // Check ownership or admin
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check the user manages this job
+    if (!job.isManageableBy(req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this job',
       });
     }
 
-    // Delete all applications for this job
-    await Application.deleteMany({ job: req.params.id });
+    const resumes = await Application.find({ job: job._id, resume: { $exists: true } })
+      .select('resume');
 
-    await Job.findByIdAndDelete(req.params.id);
+    // Delete the job with its applications, saves, views and pending alert matches in one transaction
+    await withTransaction(async (session) => {
+      await Application.deleteMany({ job: job._id }, { session });
+      await SavedJob.deleteMany({ job: job._id }, { session });
+      await JobView.deleteMany({ job: job._id }, { session });
+      await JobAlert.updateMany(
+        { pendingJobs: job._id },
+        { $pull: { pendingJobs: job._id } },
+        { session }
+      );
+      await Job.deleteOne({ _id: job._id }, { session });
+    });
+
+    for (const { resume } of resumes) {
+      await removeResume(resume);
+    }
+
+    if (!job.isOwnedBy(req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.JOB_DELETE,
+        targetType: 'Job',
+        targetId: job._id,
+        before: snapshot(job, JOB_SNAPSHOT_FIELDS),
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -205,6 +473,13 @@ export const deleteJob = async (req, res) => {
 // @access  Private
 export const applyForJob = async (req, res) => {
   try {
+    if (req.user.role !== USER_ROLES.STUDENT) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students can apply for jobs',
+      });
+    }
+
     const job = await Job.findById(req.params.id);
 
     if (!job) {
@@ -222,35 +497,114 @@ export const applyForJob = async (req, res) => {
       });
     }
 
+    // Closed jobs and unpublished drafts take no applications
+    if (job.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is not accepting applications',
+      });
+    }
+
+    const { eligible, reasons } = job.checkEligibility(req.user);
+    if (!eligible) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not eligible for this job: ${reasons.join('; ')}`,
+        reasons,
+      });
+    }
+
     // Check if already applied
     const existingApplication = await Application.findOne({
       job: req.params.id,
       applicant: req.user._id,
     });
 
-    if (existingApplication) {
+    if (existingApplication && existingApplication.status !== APPLICATION_STATUS.WITHDRAWN) {
       return res.status(400).json({
         success: false,
         message: 'You have already applied for this job',
       });
     }
 
-    // Create application
-    const application = await Application.create({
-      job: req.params.id,
-      applicant: req.user._id,
-      coverLetter: req.body.coverLetter,
-    });
+    if (req.file && !isPdf(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resume must be a valid PDF file',
+      });
+    }
 
-    // Add applicant to job
-    await Job.findByIdAndUpdate(req.params.id, {
-      $push: { applicants: req.user._id },
-      $inc: { views: 1 }
-    });
+    // Attach the uploaded resume, or else a copy of the profile's default one
+    // (a reopened application keeps its previous resume unless a new one is uploaded)
+    let resume;
+    if (req.file) {
+      resume = await storeResume(req.file.buffer, req.file.originalname);
+    } else if (!existingApplication?.resume && req.user.resume) {
+      resume = await copyResume(req.user.resume);
+    }
 
-    res.status(201).json({
+    let application;
+    let replacedResume;
+    try {
+      if (existingApplication) {
+        // A withdrawn application is reopened rather than created again
+        existingApplication.setStatus(APPLICATION_STATUS.APPLIED, req.user._id);
+        if (req.body.coverLetter !== undefined) {
+          existingApplication.coverLetter = req.body.coverLetter;
+        }
+        if (resume) {
+          replacedResume = existingApplication.resume;
+          existingApplication.resume = resume;
+        }
+
+        application = await withTransaction(async (session) => {
+          await Job.updateOne(
+            { _id: job._id },
+            { $addToSet: { applicants: req.user._id } },
+            { session }
+          );
+          return existingApplication.save({ session });
+        });
+      } else {
+        // Create application and add applicant to job in one transaction
+        application = await withTransaction(async (session) => {
+          const [createdApplication] = await Application.create(
+            [
+              {
+                job: req.params.id,
+                applicant: req.user._id,
+                coverLetter: req.body.coverLetter,
+                resume,
+              },
+            ],
+            { session }
+          );
+
+          await Job.updateOne(
+            { _id: req.params.id },
+            {
+              $addToSet: { applicants: req.user._id },
+              $inc: { views: 1 },
+            },
+            { session }
+          );
+
+          return createdApplication;
+        });
+      }
+    } catch (error) {
+      await removeResume(resume);
+      throw error;
+    }
+
+    await removeResume(replacedResume);
+    await publishApplicationStatus(application);
+
+    res.status(existingApplication ? 200 : 201).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: existingApplication
+        ? 'Application resubmitted successfully'
+        : 'Application submitted successfully',
       data: application,
     });
   } catch (error) {
@@ -261,6 +615,15 @@ export const applyForJob = async (req, res) => {
   }
 };
 
+// Application as JSON with a signed download URL for its resume
+const withResumeUrl = (application) => {
+  const data = application.toJSON();
+  if (application.resume) {
+    data.resume.downloadUrl = signResumeUrl(application);
+  }
+  return data;
+};
+
 // @desc    Get user's applications
 // @route   GET /api/jobs/my-applications
 // @access  Private
@@ -273,9 +636,15 @@ export const getMyApplications = async (req, res) => {
       })
       .sort({ createdAt: -1 });
 
+    // Applicants see when their status changed, not who changed it
+    const data = applications.map(application => {
+      const { statusHistory, ...rest } = withResumeUrl(application);
+      return { ...rest, timeline: application.getTimeline() };
+    });
+
     res.status(200).json({
       success: true,
-      data: applications,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -285,18 +654,39 @@ export const getMyApplications = async (req, res) => {
   }
 };
 
-// @desc    Get applications for a job (Admin only)
+// @desc    Get applications for a job
 // @route   GET /api/jobs/:id/applications
-// @access  Private (Admin)
+// @access  Private (Admin or recruiter of the job's company)
 export const getJobApplications = async (req, res) => {
   try {
-    const applications = await Application.find({ job: req.params.id })
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Recruiters only see applicants to their own company's jobs
+    if (!job.isManageableBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view applications for this job',
+      });
+    }
+
+    const query = { job: job._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const applications = await Application.find(query)
       .populate('applicant', 'name email branch semester')
+      .populate('statusHistory.changedBy', 'name')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      data: applications,
+      data: applications.map(withResumeUrl),
     });
   } catch (error) {
     res.status(500).json({
@@ -304,4 +694,355 @@ export const getJobApplications = async (req, res) => {
       message: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Move an application through the pipeline
+// @route   PATCH /api/jobs/applications/:applicationId/status
+// @access  Private (Admin or recruiter of the job's company)
+export const updateApplicationStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const application = await Application.findById(req.params.applicationId)
+      .populate('job', 'title company companyId postedBy');
+
+    if (!application || !application.job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (!application.job.isManageableBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this application',
+      });
+    }
+
+    if (!application.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move an application from ${application.status} to ${status}`,
+      });
+    }
+
+    const before = snapshot(application, ['status']);
+    application.setStatus(status, req.user._id, note);
+    const updatedApplication = await application.save();
+
+    await notifyApplicationStatus(updatedApplication);
+    await auditApplicationStatus(req, updatedApplication, before);
+
+    res.status(200).json({
+      success: true,
+      message: `Application marked as ${status}`,
+      data: updatedApplication,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Move multiple applications through the pipeline
+// @route   PATCH /api/jobs/applications/bulk/status
+// @access  Private (Admin or recruiter of the jobs' company)
+export const bulkUpdateApplicationStatus = async (req, res) => {
+  try {
+    const { applicationIds, status, note } = req.body;
+
+    // Applications to jobs the user doesn't manage are treated as not found
+    const applications = (await Application.find({ _id: { $in: applicationIds } })
+      .populate('job', 'title company companyId postedBy'))
+      .filter((application) => application.job && application.job.isManageableBy(req.user));
+
+    const updated = [];
+    const skipped = [];
+
+    // Applications that can't make the move are reported instead of failing the batch
+    for (const application of applications) {
+      if (!application.canTransitionTo(status)) {
+        skipped.push({ _id: application._id, status: application.status });
+        continue;
+      }
+
+      const before = snapshot(application, ['status']);
+      application.setStatus(status, req.user._id, note);
+      await application.save();
+      await notifyApplicationStatus(application);
+      await auditApplicationStatus(req, application, before);
+      updated.push(application._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} application(s) marked as ${status}`,
+      data: {
+        matched: applications.length,
+        updated,
+        skipped,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw own application before the deadline
+// @route   POST /api/jobs/:id/withdraw
+// @access  Private
+export const withdrawApplication = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (new Date(job.applicationDeadline) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Application deadline has passed',
+      });
+    }
+
+    const application = await Application.findOne({
+      job: job._id,
+      applicant: req.user._id,
+    });
+
+    if (!application || application.status === APPLICATION_STATUS.WITHDRAWN) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (!WITHDRAWABLE_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `An application that was ${application.status} can no longer be withdrawn`,
+      });
+    }
+
+    application.setStatus(APPLICATION_STATUS.WITHDRAWN, req.user._id, req.body?.reason);
+
+    // Withdraw and remove the applicant from the job in one transaction
+    const withdrawnApplication = await withTransaction(async (session) => {
+      await Job.updateOne(
+        { _id: job._id },
+        { $pull: { applicants: req.user._id } },
+        { session }
+      );
+      return application.save({ session });
+    });
+
+    await publishApplicationStatus(withdrawnApplication);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      data: withdrawnApplication,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download an application's resume through a signed URL
+// @route   GET /api/jobs/applications/:applicationId/resume?signature=
+// @access  Public (signed URL from getJobApplications or getMyApplications)
+export const downloadApplicationResume = async (req, res) => {
+  try {
+    if (!verifyResumeSignature(req.query.signature, req.params.applicationId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired',
+      });
+    }
+
+    const application = await Application.findById(req.params.applicationId).select('resume');
+
+    if (!application || !application.resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found',
+      });
+    }
+
+    await sendResume(res, application.resume);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Save a job
+// @route   POST /api/jobs/:id/save
+// @access  Private
+export const saveJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job || job.status === 'draft') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const savedJob = await SavedJob.create({ user: req.user._id, job: job._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Job saved successfully',
+      data: savedJob,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job already saved',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a saved job
+// @route   DELETE /api/jobs/:id/save
+// @access  Private
+export const unsaveJob = async (req, res) => {
+  try {
+    const savedJob = await SavedJob.findOneAndDelete({
+      user: req.user._id,
+      job: req.params.id,
+    });
+
+    if (!savedJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job removed from saved jobs',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get user's saved jobs
+// @route   GET /api/jobs/user/saved
+// @access  Private
+export const getSavedJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    const savedJobs = await SavedJob.find({ user: req.user._id })
+      .populate({
+        path: 'job',
+        populate: { path: 'postedBy', select: 'name email' },
+      })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await SavedJob.countDocuments({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        savedJobs: savedJobs.filter(savedJob => savedJob.job).map(savedJob => ({
+          _id: savedJob._id,
+          savedAt: savedJob.createdAt,
+          job: withEligibility(savedJob.job, req.user),
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get jobs managed by the user, drafts and closed jobs included
+// @route   GET /api/jobs/user/company-jobs
+// @access  Private (Admin or approved recruiter)
+export const getManagedJobs = async (req, res) => {
+  try {
+    const { status, companyId, page = 1, limit = 12 } = req.query;
+
+    // Recruiters see their company's jobs; admins see their own postings or a company's
+    let query;
+    if (req.user.role === USER_ROLES.RECRUITER) {
+      query = { companyId: req.user.company };
+    } else if (companyId) {
+      query = { companyId };
+    } else {
+      query = { postedBy: req.user._id };
+    }
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const jobs = await Job.find(query)
+      .populate('postedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Job.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,24 +1,107 @@
+import crypto from 'crypto';
 import Note from '../models/Note.js';
 import User from '../models/User.js';
-import cloudinary from '../config/cloudinary.js';
-import { Readable } from 'stream';
-
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (buffer, options) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      options,
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
-    
-    const readableStream = new Readable();
-    readableStream.push(buffer);
-    readableStream.push(null);
-    readableStream.pipe(uploadStream);
-  });
+import { withTransaction } from '../config/db.js';
+import { requireNoteApproval, duplicateUploadPolicy } from '../config/moderation.js';
+import { NOTE_STATUS, PERMISSIONS, AUDIT_ACTIONS } from '../utils/constants.js';
+import { storeFile, removeFile, readFile } from '../utils/storage/index.js';
+import {
+  escapeRegExp,
+  getSearchTerms,
+  buildSnippet,
+  titleSimilarity,
+} from '../utils/search.js';
+import { getInitialContentStatus, processNoteFile } from '../utils/noteProcessing.js';
+import { publishNoteStatus } from '../utils/realtime.js';
+import { fileUrlFor } from '../utils/fileUrl.js';
+import {
+  audit,
+  snapshot,
+  NOTE_SNAPSHOT_FIELDS,
+  NOTE_VERSION_SNAPSHOT_FIELDS,
+} from '../utils/audit.js';
+
+const NOTE_VERSION_RETENTION = parseInt(process.env.NOTE_VERSION_RETENTION) || 5;
+
+// Helper function to check if a user may edit or delete a note: its uploader
+// or anyone allowed to manage notes
+const isNoteOwner = (note, user) => note.uploadedBy.toString() === user._id.toString();
+
+const canManageNote = (note, user) =>
+  isNoteOwner(note, user) || user.hasPermission(PERMISSIONS.NOTES_MANAGE);
+
+// Helper function to drop the oldest versions beyond the retention limit
+// (the current version is always kept). Returns the removed versions.
+const pruneVersions = (note) => {
+  const removable = note.versions
+    .filter(version => version.version !== note.currentVersion)
+    .sort((a, b) => a.version - b.version);
+  const excess = note.versions.length - NOTE_VERSION_RETENTION;
+
+  if (excess <= 0) return [];
+
+  const removed = removable.slice(0, excess);
+  const removedNumbers = removed.map(version => version.version);
+  note.versions = note.versions.filter(version => !removedNumbers.includes(version.version));
+
+  return removed;
+};
+
+// Helper function to delete the stored files of removed versions
+const deleteVersionFiles = async (versions) => {
+  for (const version of versions) {
+    await removeFile({
+      provider: version.storageProvider,
+      key: version.storageKey,
+      mimetype: version.fileType,
+    });
+  }
+};
+
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8;
+
+// Helper function to hash file contents for duplicate detection
+const hashFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Helper function to find a live note with exactly the same file contents
+const findExactDuplicate = (fileHash) =>
+  Note.findOne({ fileHash, status: { $ne: NOTE_STATUS.REJECTED } }).select('status uploadedBy');
+
+// Only point the uploader at a duplicate they may see; someone else's pending
+// note stays private, including the fact that it exists under some title
+const describeDuplicate = (duplicate, user) =>
+  duplicate && duplicate.isVisibleTo(user) ? { _id: duplicate._id } : null;
+
+// Numbers in a title usually identify a unit or chapter, so "Unit 1" and
+// "Unit 2" are never near duplicates however similar the rest is
+const titleNumbers = (title) => (title.match(/\d+/g) || []).sort().join(',');
+
+// Helper function to find notes for the same subject/semester/branch with a very similar title
+const findSimilarNotes = async ({ title, subject, semester, branch }) => {
+  const candidates = await Note.find({
+    subject: new RegExp(`^${escapeRegExp(subject.trim())}$`, 'i'),
+    semester,
+    branch,
+    status: NOTE_STATUS.APPROVED,
+  })
+    .select(
+      'title subject semester branch fileUrl fileType storageProvider storageKey ' +
+        'thumbnailUrl thumbnailKey thumbnailProvider createdAt'
+    )
+    .limit(500);
+
+  return candidates
+    .map(note => ({ note, similarity: titleSimilarity(title, note.title) }))
+    .filter(
+      ({ note, similarity }) =>
+        similarity >= NEAR_DUPLICATE_THRESHOLD && titleNumbers(note.title) === titleNumbers(title)
+    )
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 5)
+    .map(({ note, similarity }) => ({
+      ...note.toJSON(),
+      similarity: Math.round(similarity * 100) / 100,
+    }));
 };
 
 // @desc    Upload a new note
@@ -35,41 +118,91 @@ export const uploadNote = async (req, res) => {
       });
     }
 
-    // Determine resource type based on file mimetype
-    let resourceType = 'auto';
-    if (req.file.mimetype.startsWith('image/')) {
-      resourceType = 'image';
-    } else {
-      resourceType = 'raw'; // For PDFs and documents
+    // Check for an exact duplicate of an existing note
+    const fileHash = hashFile(req.file.buffer);
+    const duplicate = await findExactDuplicate(fileHash);
+
+    if (duplicate && duplicateUploadPolicy() === 'reject') {
+      return res.status(409).json({
+        success: false,
+        message: 'This file has already been uploaded',
+        data: { duplicateOf: describeDuplicate(duplicate, req.user) },
+      });
+    }
+
+    // Ask the uploader to confirm when very similar notes already exist
+    if (!duplicate && req.body.ignoreSimilar !== 'true') {
+      const similarNotes = await findSimilarNotes({ title, subject, semester, branch });
+
+      if (similarNotes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Similar notes already exist. Upload again with ignoreSimilar=true to continue.',
+          data: { similarNotes },
+        });
+      }
     }
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.buffer, {
+    // Upload to the configured storage backend
+    const stored = await storeFile(req.file.buffer, {
       folder: 'study-hub-notes',
-      resource_type: resourceType,
-      format: req.file.mimetype.includes('pdf') ? 'pdf' : undefined,
+      mimetype: req.file.mimetype,
     });
 
-
-    // Create note in database
-    const note = await Note.create({
+    const noteData = {
       title,
       description,
       subject,
       semester,
       branch,
-      fileUrl: result.secure_url,
+      fileUrl: stored.url,
       fileType: req.file.mimetype,
       fileSize: req.file.size,
-      cloudinaryPublicId: result.public_id,
+      fileHash,
+      duplicateOf: duplicate?._id,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      contentStatus: getInitialContentStatus(req.file.mimetype),
       uploadedBy: req.user._id,
+      versions: [
+        {
+          version: 1,
+          fileUrl: stored.url,
+          fileType: req.file.mimetype,
+          fileSize: req.file.size,
+          fileHash,
+          storageProvider: stored.provider,
+          storageKey: stored.key,
+          uploadedBy: req.user._id,
+        },
+      ],
+      status: requireNoteApproval() ? NOTE_STATUS.PENDING : NOTE_STATUS.APPROVED,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-    });
+    };
 
-    // Add note to user's uploadedNotes
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { uploadedNotes: note._id },
-    });
+    // Create note and add it to the user's uploadedNotes in one transaction
+    let note;
+    try {
+      note = await withTransaction(async (session) => {
+        const [createdNote] = await Note.create([noteData], { session });
+
+        await User.updateOne(
+          { _id: req.user._id },
+          { $addToSet: { uploadedNotes: createdNote._id } },
+          { session }
+        );
+
+        return createdNote;
+      });
+    } catch (error) {
+      await removeFile({ ...stored, mimetype: req.file.mimetype });
+      throw error;
+    }
+
+    // Extract document text and generate the preview without holding up the response
+    processNoteFile(note._id, req.file.buffer, req.file.mimetype);
+
+    await publishNoteStatus(note);
 
     const populatedNote = await Note.findById(note._id).populate(
       'uploadedBy',
@@ -78,7 +211,10 @@ export const uploadNote = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Note uploaded successfully',
+      message:
+        note.status === NOTE_STATUS.PENDING
+          ? 'Note uploaded successfully and is awaiting approval'
+          : 'Note uploaded successfully',
       data: populatedNote,
     });
   } catch (error) {
@@ -99,44 +235,101 @@ export const getNotes = async (req, res) => {
       semester,
       branch,
       subject,
+      tags,
       search,
       page = 1,
       limit = 12,
-      sortBy = 'createdAt',
       order = 'desc',
     } = req.query;
 
-    // Build query
-    const query = { status: 'approved' };
+    // Search results are ranked by relevance unless another sort is requested
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
+
+    // Build query (values are cast explicitly because it is reused in an aggregation)
+    const query = { status: NOTE_STATUS.APPROVED };
 
-    if (semester) query.semester = semester;
+    if (semester) query.semester = parseInt(semester);
     if (branch) query.branch = branch;
-    if (subject) query.subject = new RegExp(subject, 'i');
-    if (search) {
-      query.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { subject: new RegExp(search, 'i') },
-      ];
+    if (subject) query.subject = new RegExp(escapeRegExp(subject), 'i');
+    // Tags may be comma-separated, repeated (?tags=a&tags=b) or both
+    if (tags) {
+      query.tags = { $in: [].concat(tags).flatMap(tag => tag.split(',')).map(tag => tag.trim()) };
+    }
+    if (search) query.$text = { $search: search };
+
+    // Build sort (rating ties are broken by the number of ratings)
+    const sortOrder = order === 'desc' ? -1 : 1;
+    let sort;
+    if (sortBy === 'relevance' && search) {
+      sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+    } else if (sortBy === 'relevance') {
+      sort = { createdAt: -1 };
+    } else {
+      sort = { [sortBy]: sortOrder };
+      if (sortBy === 'rating') sort.ratingCount = sortOrder;
     }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Execute query
-    const notes = await Note.find(query)
+    const notes = await Note.find(query, search ? { score: { $meta: 'textScore' } } : {})
+      .select(search ? '+content' : '')
       .populate('uploadedBy', 'name email branch')
-      .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
+      .sort(sort)
       .limit(parseInt(limit))
       .skip(skip);
 
-    // Get total count
-    const total = await Note.countDocuments(query);
+    // Get total count and facet counts for the current query
+    const [total, [facets]] = await Promise.all([
+      Note.countDocuments(query),
+      Note.aggregate([
+        { $match: query },
+        {
+          $facet: {
+            branch: [
+              { $group: { _id: '$branch', count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            semester: [
+              { $group: { _id: '$semester', count: { $sum: 1 } } },
+              { $sort: { _id: 1 } },
+            ],
+            subject: [
+              { $group: { _id: '$subject', count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+              { $limit: 20 },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    // Add highlighted snippets to search results
+    const terms = search ? getSearchTerms(search) : [];
+    const results = search
+      ? notes.map(note => {
+          // Extracted content is only used for the snippet, never returned whole
+          const { content, ...rest } = note.toJSON();
+          return {
+            ...rest,
+            highlights: {
+              title: buildSnippet(note.title, terms),
+              description: buildSnippet(note.description, terms),
+              content: buildSnippet(content, terms),
+              tags: note.tags.filter(tag =>
+                terms.some(term => tag.toLowerCase().includes(term.toLowerCase()))
+              ),
+            },
+          };
+        })
+      : notes;
 
     res.status(200).json({
       success: true,
       data: {
-        notes,
+        notes: results,
+        facets,
         pagination: {
           total,
           page: parseInt(page),
@@ -163,7 +356,8 @@ export const getNoteById = async (req, res) => {
       'name email branch'
     );
 
-    if (!note) {
+    // Non-approved notes are only visible to their owner and admins
+    if (!note || !note.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Note not found',
@@ -192,7 +386,8 @@ export const downloadNote = async (req, res) => {
   try {
     const note = await Note.findById(req.params.id);
 
-    if (!note) {
+    // Non-approved notes are only downloadable by their owner and admins
+    if (!note || !note.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Note not found',
@@ -204,7 +399,7 @@ export const downloadNote = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Download count incremented',
-      data: { fileUrl: note.fileUrl },
+      data: { fileUrl: fileUrlFor(note.getFileRef(), note.fileUrl) },
     });
   } catch (error) {
     res.status(500).json({
@@ -230,14 +425,16 @@ export const updateNote = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (note.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check ownership or note management permission
+    if (!canManageNote(note, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this note',
       });
     }
 
+    const before = snapshot(note, NOTE_SNAPSHOT_FIELDS);
+
     // Update fields
     note.title = title || note.title;
     note.description = description || note.description;
@@ -248,8 +445,30 @@ export const updateNote = async (req, res) => {
       note.tags = tags.split(',').map(tag => tag.trim());
     }
 
+    // An edited rejected note goes back into the moderation queue
+    const requeued = note.status === NOTE_STATUS.REJECTED && requireNoteApproval();
+    if (requeued) {
+      note.status = NOTE_STATUS.PENDING;
+      note.rejectionReason = undefined;
+    }
+
     const updatedNote = await note.save();
 
+    if (requeued) {
+      await publishNoteStatus(updatedNote);
+    }
+
+    // Edits to someone else's note are a moderation action
+    if (!isNoteOwner(note, req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_UPDATE,
+        targetType: 'Note',
+        targetId: note._id,
+        before,
+        after: snapshot(updatedNote, NOTE_SNAPSHOT_FIELDS),
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Note updated successfully',
@@ -277,26 +496,30 @@ export const deleteNote = async (req, res) => {
       });
     }
 
-    // Check ownership or admin
-    if (note.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check ownership or note management permission
+    if (!canManageNote(note, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this note',
       });
     }
 
-    // Delete from Cloudinary
-    await cloudinary.uploader.destroy(note.cloudinaryPublicId, {
-      resource_type: note.fileType.startsWith('image/') ? 'image' : 'raw',
-    });
+    // Delete note with its bookmarks, reviews and user references
+    await Note.removeWithReferences(note);
 
-    // Remove from user's uploadedNotes
-    await User.findByIdAndUpdate(note.uploadedBy, {
-      $pull: { uploadedNotes: note._id },
-    });
+    // Delete every file version and the preview from storage
+    for (const ref of note.getStoredFileRefs()) {
+      await removeFile(ref);
+    }
 
-    // Delete note
-    await Note.findByIdAndDelete(req.params.id);
+    if (!isNoteOwner(note, req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_DELETE,
+        targetType: 'Note',
+        targetId: note._id,
+        before: snapshot(note, NOTE_SNAPSHOT_FIELDS),
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -315,7 +538,12 @@ export const deleteNote = async (req, res) => {
 // @access  Private
 export const getMyNotes = async (req, res) => {
   try {
-    const notes = await Note.find({ uploadedBy: req.user._id })
+    const { status } = req.query;
+
+    const query = { uploadedBy: req.user._id };
+    if (status) query.status = status;
+
+    const notes = await Note.find(query)
       .populate('uploadedBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -329,4 +557,312 @@ export const getMyNotes = async (req, res) => {
       message: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Upload a new file version for a note
+// @route   PUT /api/notes/:id/file
+// @access  Private
+export const uploadNoteVersion = async (req, res) => {
+  try {
+    const { changelog } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file',
+      });
+    }
+
+    const note = await Note.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    // Check ownership or note management permission
+    if (!canManageNote(note, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this note',
+      });
+    }
+
+    const stored = await storeFile(req.file.buffer, {
+      folder: 'study-hub-notes',
+      mimetype: req.file.mimetype,
+    });
+
+    // Notes created before versioning existed have no history yet
+    if (note.versions.length === 0) {
+      note.versions = note.getVersions();
+    }
+
+    const before = snapshot(note, NOTE_VERSION_SNAPSHOT_FIELDS);
+    const newVersion = Math.max(...note.versions.map(version => version.version)) + 1;
+
+    const fileHash = hashFile(req.file.buffer);
+
+    note.versions.push({
+      version: newVersion,
+      fileUrl: stored.url,
+      fileType: req.file.mimetype,
+      fileSize: req.file.size,
+      fileHash,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      uploadedBy: req.user._id,
+      changelog,
+    });
+
+    note.currentVersion = newVersion;
+    note.fileUrl = stored.url;
+    note.fileType = req.file.mimetype;
+    note.fileSize = req.file.size;
+    note.fileHash = fileHash;
+    note.storageProvider = stored.provider;
+    note.storageKey = stored.key;
+    note.cloudinaryPublicId = undefined;
+    note.content = undefined;
+    note.pageCount = undefined;
+    note.contentStatus = getInitialContentStatus(req.file.mimetype);
+
+    // A new file goes back into the moderation queue
+    const requeued = requireNoteApproval() && !req.user.hasPermission(PERMISSIONS.NOTES_MODERATE);
+    if (requeued) {
+      note.status = NOTE_STATUS.PENDING;
+      note.rejectionReason = undefined;
+    }
+
+    const removedVersions = pruneVersions(note);
+    const updatedNote = await note.save();
+
+    await deleteVersionFiles(removedVersions);
+
+    if (requeued) {
+      await publishNoteStatus(updatedNote);
+    }
+
+    if (!isNoteOwner(note, req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_VERSION_UPLOAD,
+        targetType: 'Note',
+        targetId: note._id,
+        before,
+        after: snapshot(updatedNote, NOTE_VERSION_SNAPSHOT_FIELDS),
+      });
+    }
+
+    // Re-extract text and regenerate the preview for the new file
+    processNoteFile(note._id, req.file.buffer, req.file.mimetype);
+
+    res.status(200).json({
+      success: true,
+      message: 'New file version uploaded successfully',
+      data: updatedNote,
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the file version history of a note
+// @route   GET /api/notes/:id/versions
+// @access  Public
+export const getNoteVersions = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id).populate(
+      'versions.uploadedBy',
+      'name'
+    );
+
+    if (!note || !note.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentVersion: note.currentVersion,
+        versions: [...note.getVersions()].sort((a, b) => b.version - a.version),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download an older file version of a note
+// @route   POST /api/notes/:id/versions/:version/download
+// @access  Public
+export const downloadNoteVersion = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+
+    if (!note || !note.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    const version = note.getVersions().find(
+      item => item.version === parseInt(req.params.version)
+    );
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    await note.incrementDownloads();
+
+    res.status(200).json({
+      success: true,
+      message: 'Download count incremented',
+      data: {
+        fileUrl: fileUrlFor(
+          { provider: version.storageProvider, key: version.storageKey, mimetype: version.fileType },
+          version.fileUrl
+        ),
+        version: version.version,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Roll a note back to an older file version
+// @route   POST /api/notes/:id/versions/:version/rollback
+// @access  Private
+export const rollbackNoteVersion = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    // Check ownership or note management permission
+    if (!canManageNote(note, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this note',
+      });
+    }
+
+    const version = note.getVersions().find(
+      item => item.version === parseInt(req.params.version)
+    );
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    if (version.version === note.currentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version is already the current version',
+      });
+    }
+
+    // Read the restored file first, so a missing file leaves the note untouched
+    const buffer = await readFile({
+      provider: version.storageProvider,
+      key: version.storageKey,
+      mimetype: version.fileType,
+    });
+
+    const before = snapshot(note, NOTE_VERSION_SNAPSHOT_FIELDS);
+
+    note.currentVersion = version.version;
+    note.fileUrl = version.fileUrl;
+    note.fileType = version.fileType;
+    note.fileSize = version.fileSize;
+    note.fileHash = version.fileHash;
+    note.storageProvider = version.storageProvider;
+    note.storageKey = version.storageKey;
+    note.cloudinaryPublicId = undefined;
+    note.content = undefined;
+    note.pageCount = undefined;
+    note.contentStatus = getInitialContentStatus(version.fileType);
+
+    const updatedNote = await note.save();
+
+    if (!isNoteOwner(note, req.user)) {
+      await audit(req, {
+        action: AUDIT_ACTIONS.NOTE_VERSION_ROLLBACK,
+        targetType: 'Note',
+        targetId: note._id,
+        before,
+        after: snapshot(updatedNote, NOTE_VERSION_SNAPSHOT_FIELDS),
+      });
+    }
+
+    // Re-extract text and regenerate the preview from the restored file
+    processNoteFile(note._id, buffer, version.fileType);
+
+    res.status(200).json({
+      success: true,
+      message: `Note rolled back to version ${version.version}`,
+      data: updatedNote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+
+// @desc    Check for existing copies of a note before uploading it
+// @route   POST /api/notes/check-duplicates
+// @access  Private
+export const checkDuplicates = async (req, res) => {
+  try {
+    const { title, subject, semester, branch } = req.body;
+
+    const exactDuplicate = req.file
+      ? describeDuplicate(await findExactDuplicate(hashFile(req.file.buffer)), req.user)
+      : null;
+    const similarNotes = await findSimilarNotes({ title, subject, semester, branch });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exactDuplicate,
+        similarNotes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
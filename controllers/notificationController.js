@@ -0,0 +1,178 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+
+// @desc    Get own notifications with unread count
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unreadOnly === 'true') query.readAt = null;
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      readAt: null,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get own unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      readAt: null,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+export const markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Mark all own notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+export const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: {
+        modified: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get own notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getPreferences = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.notificationPreferences,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Turn notification types on or off
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updatePreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    for (const [type, enabled] of Object.entries(req.body)) {
+      user.notificationPreferences[type] = enabled;
+    }
+
+    const updatedUser = await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: updatedUser.notificationPreferences,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,74 @@
+import jwt from 'jsonwebtoken';
+import { subscribe, channels } from '../utils/pubsub/index.js';
+import { PERMISSIONS, REALTIME_EVENTS } from '../utils/constants.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_TIMEOUT = 2 ** 31 - 1; // Longest delay setTimeout supports
+
+// @desc    Stream real-time events (Server-Sent Events)
+// @route   GET /api/realtime/stream
+// @access  Private
+export const streamEvents = async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+
+    const send = ({ type, data, sentAt }) => {
+      // New notes only concern students of the same semester (or any, if not set)
+      if (
+        type === REALTIME_EVENTS.NOTE_PUBLISHED &&
+        user.semester &&
+        data.semester !== user.semester
+      ) {
+        return;
+      }
+
+      res.write(`event: ${type}\ndata: ${JSON.stringify({ ...data, sentAt })}\n\n`);
+    };
+
+    const subscribed = [channels.user(user._id)];
+    if (user.hasPermission(PERMISSIONS.NOTES_MODERATE)) {
+      subscribed.push(channels.admins());
+    } else if (user.branch) {
+      subscribed.push(channels.branch(user.branch));
+    }
+
+    const unsubscribers = await Promise.all(
+      subscribed.map(channel => subscribe(channel, send))
+    );
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ channels: subscribed })}\n\n`);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    // The stream lives no longer than the access token that opened it;
+    // clients reconnect with a refreshed token
+    const token = req.headers.authorization.split(' ')[1];
+    const { exp } = jwt.decode(token);
+    const expiry = setTimeout(() => {
+      res.write('event: reauthenticate\ndata: {}\n\n');
+      res.end();
+    }, Math.min(Math.max(exp * 1000 - Date.now(), 0), MAX_TIMEOUT));
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
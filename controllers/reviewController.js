@@ -0,0 +1,201 @@
+import Review from '../models/Review.js';
+import Note from '../models/Note.js';
+import { NOTE_STATUS } from '../utils/constants.js';
+
+// @desc    Rate and review a note
+// @route   POST /api/notes/:id/reviews
+// @access  Private
+export const addReview = async (req, res) => {
+  try {
+    const { rating, review } = req.body;
+
+    const note = await Note.findById(req.params.id);
+
+    if (!note || note.status !== NOTE_STATUS.APPROVED) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    // Uploaders cannot rate their own notes
+    if (note.uploadedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own note',
+      });
+    }
+
+    // Check if already reviewed
+    const existingReview = await Review.findOne({
+      note: note._id,
+      user: req.user._id,
+    });
+
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this note',
+      });
+    }
+
+    const newReview = await Review.create({
+      note: note._id,
+      user: req.user._id,
+      rating: Number(rating),
+      review,
+    });
+
+    await Note.applyRatingChange(note._id, newReview.rating, 1);
+
+    const populatedReview = await Review.findById(newReview._id).populate(
+      'user',
+      'name branch'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: populatedReview,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this note',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update own review of a note
+// @route   PUT /api/notes/:id/reviews
+// @access  Private
+export const updateReview = async (req, res) => {
+  try {
+    const { rating, review } = req.body;
+
+    const existingReview = await Review.findOne({
+      note: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!existingReview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    const previousRating = existingReview.rating;
+
+    if (rating !== undefined) existingReview.rating = Number(rating);
+    if (review !== undefined) existingReview.review = review;
+
+    const updatedReview = await existingReview.save();
+
+    if (updatedReview.rating !== previousRating) {
+      await Note.applyRatingChange(
+        updatedReview.note,
+        updatedReview.rating - previousRating,
+        0
+      );
+    }
+
+    await updatedReview.populate('user', 'name branch');
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: updatedReview,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete own review of a note
+// @route   DELETE /api/notes/:id/reviews
+// @access  Private
+export const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOneAndDelete({
+      note: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    await Note.applyRatingChange(review.note, -review.rating, -1);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get reviews for a note
+// @route   GET /api/notes/:id/reviews
+// @access  Public
+export const getNoteReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const note = await Note.findById(req.params.id).select('rating ratingCount status uploadedBy');
+
+    if (!note || !note.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find({ note: note._id })
+      .populate('user', 'name branch')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Review.countDocuments({ note: note._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rating: note.rating,
+        ratingCount: note.ratingCount,
+        reviews,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -4,6 +4,8 @@ import cors from 'cors';
 import morgan from 'morgan';
 import connectDB from './config/db.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { startJobScheduler } from './utils/jobLifecycle.js';
+import { warnIfTextIndexOutdated } from './utils/noteIndexes.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -11,12 +13,18 @@ import noteRoutes from './routes/notes.js';
 import bookmarkRoutes from './routes/bookmarks.js';
 import adminRoutes from './routes/admin.js';
 import jobRoutes from './routes/jobs.js';
+import notificationRoutes from './routes/notifications.js';
+import realtimeRoutes from './routes/realtime.js';
+import fileRoutes from './routes/files.js';
 
 // Load environment variables
 dotenv.config();
 
-// Connect to database
-connectDB();
+// Connect to database, then start closing, publishing and reminding about jobs on schedule
+connectDB().then(() => {
+  startJobScheduler();
+  warnIfTextIndexOutdated();
+});
 
 // Initialize express app
 const app = express();
@@ -53,6 +61,9 @@ app.use('/api/notes', noteRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/files', fileRoutes);
 
 // Error handling middleware
 app.use(notFound);
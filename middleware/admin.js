@@ -1,12 +0,0 @@
-import { USER_ROLES } from '../utils/constants.js';
-
-export const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === USER_ROLES.ADMIN) {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.',
-    });
-  }
-};
\ No newline at end of file
@@ -33,6 +33,14 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens issued before a password change or logout-all are revoked
+      if ((decoded.tv || 0) !== req.user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again',
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -49,4 +57,47 @@ export const protect = async (req, res, next) => {
       message: 'Not authorized, no token provided',
     });
   }
-};
\ No newline at end of file
+};
+// Attach the user when a valid token is present, but never reject the request
+export const optionalAuth = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+
+      if (user && user.isActive && (decoded.tv || 0) === user.tokenVersion) {
+        req.user = user;
+      }
+    } catch (error) {
+      // Invalid tokens are treated as anonymous requests
+    }
+  }
+
+  next();
+};
+
+// Block unverified users from an action when email verification is enforced.
+// Run `npm run backfill-email-verification` before enforcing it on an existing deployment.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue',
+    });
+  }
+  next();
+};
+
+// Let clients that can't set headers (EventSource) send the access token as
+// ?token=; `protect` still does the verification. Only for streaming routes,
+// since query strings end up in access logs.
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
@@ -0,0 +1,29 @@
+import { USER_ROLES, RECRUITER_STATUS, ROLE_PERMISSIONS } from '../utils/constants.js';
+
+// Allow the request only if the user has every one of the given permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.user && permissions.every(permission => req.user.hasPermission(permission))) {
+    return next();
+  }
+
+  // Recruiters get their permissions once an admin approves the account
+  const recruiterWouldBeAllowed =
+    req.user &&
+    req.user.role === USER_ROLES.RECRUITER &&
+    permissions.every(permission => ROLE_PERMISSIONS[USER_ROLES.RECRUITER].includes(permission));
+
+  if (recruiterWouldBeAllowed) {
+    return res.status(403).json({
+      success: false,
+      message:
+        req.user.recruiterStatus === RECRUITER_STATUS.REJECTED
+          ? 'Your recruiter account was not approved'
+          : 'Your recruiter account is awaiting admin approval',
+    });
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Access denied. You do not have permission to perform this action.',
+  });
+};
@@ -0,0 +1,42 @@
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+
+// Limit every email-sending request from one IP, whatever address it targets,
+// so a single client can't send mail to any number of inboxes
+export const emailRequestIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: parseInt(process.env.EMAIL_REQUEST_IP_RATE_LIMIT) || 20,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+  message: {
+    success: false,
+    message: 'Too many email requests from this network. Please try again later.',
+  },
+});
+
+// Limit password reset requests per IP and email address
+export const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: (req) =>
+    `${ipKeyGenerator(req.ip)}:${(req.body?.email || '').toLowerCase()}`,
+  message: {
+    success: false,
+    message: 'Too many password reset requests. Please try again later.',
+  },
+});
+
+// Limit verification email resends per user
+export const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT) || 3,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many verification emails requested. Please try again later.',
+  },
+});
@@ -1,5 +1,10 @@
 import multer from 'multer';
-import { ALLOWED_FILE_TYPES, MAX_FILE_SIZE } from '../utils/constants.js';
+import {
+  ALLOWED_FILE_TYPES,
+  FILE_TYPES,
+  MAX_FILE_SIZE,
+  MAX_RESUME_SIZE,
+} from '../utils/constants.js';
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -25,13 +30,39 @@ const upload = multer({
 // Middleware to handle single file upload
 export const uploadSingle = upload.single('file');
 
+// Resumes are PDF only and smaller
+const resumeUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_RESUME_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === FILE_TYPES.PDF) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Resumes must be PDF files.'), false);
+    }
+  },
+});
+
+// Middleware to handle an optional resume upload
+export const uploadResume = resumeUpload.single('resume');
+
+// Size limit of each upload field, for error messages
+const FIELD_SIZE_LIMITS = {
+  file: MAX_FILE_SIZE,
+  resume: MAX_RESUME_SIZE,
+};
+
 // Error handling middleware for multer
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 10MB.',
+        message: `File size too large. Maximum size is ${
+          (FIELD_SIZE_LIMITS[err.field] || MAX_FILE_SIZE) / (1024 * 1024)
+        }MB.`,
       });
     }
     return res.status(400).json({
@@ -1,4 +1,30 @@
 import mongoose from 'mongoose';
+import resumeSchema from './resumeSchema.js';
+import { APPLICATION_STATUS, APPLICATION_TRANSITIONS } from '../utils/constants.js';
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(APPLICATION_STATUS),
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note must not exceed 500 characters'],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const applicationSchema = new mongoose.Schema(
   {
@@ -14,12 +40,12 @@ const applicationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['applied', 'shortlisted', 'rejected', 'accepted'],
-      default: 'applied',
+      enum: Object.values(APPLICATION_STATUS),
+      default: APPLICATION_STATUS.APPLIED,
     },
+    statusHistory: [statusChangeSchema],
     resume: {
-      url: { type: String },
-      cloudinaryPublicId: { type: String },
+      type: resumeSchema, // Copy of the resume submitted with the application
     },
     coverLetter: {
       type: String,
@@ -37,7 +63,48 @@ const applicationSchema = new mongoose.Schema(
 
 // Compound index to ensure a user can't apply twice to the same job
 applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
+applicationSchema.index({ job: 1, status: 1 });
+
+// Start the history with the application itself. Also backfills
+// applications from before the history was kept, whose status never changed.
+const recordInitialStatus = (application) => {
+  if (application.statusHistory.length === 0) {
+    application.statusHistory.push({
+      status: application.status,
+      changedBy: application.applicant,
+      changedAt: application.appliedAt,
+    });
+  }
+};
+
+applicationSchema.pre('save', function (next) {
+  if (this.isNew) {
+    recordInitialStatus(this);
+  }
+  next();
+});
+
+// Whether an admin may move the application to `status`
+applicationSchema.methods.canTransitionTo = function (status) {
+  return APPLICATION_TRANSITIONS[this.status].includes(status);
+};
+
+// Change the status and record who did it
+applicationSchema.methods.setStatus = function (status, changedBy, note) {
+  recordInitialStatus(this);
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note });
+};
+
+// Status history as shown to the applicant (without who made each change)
+applicationSchema.methods.getTimeline = function () {
+  const history = this.statusHistory.length
+    ? this.statusHistory
+    : [{ status: this.status, changedAt: this.appliedAt }];
+
+  return history.map(({ status, note, changedAt }) => ({ status, note, changedAt }));
+};
 
 const Application = mongoose.model('Application', applicationSchema);
 
-export default Application;
\ No newline at end of file
+export default Application;
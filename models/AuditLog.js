@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS, AUDIT_TARGETS } from '../utils/constants.js';
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    actorEmail: {
+      type: String, // Kept so entries stay readable after the actor is deleted
+    },
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGETS,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are append-only: once written they can't be changed or removed
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, rejectChange);
+auditLogSchema.pre(
+  ['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { withTransaction } from '../config/db.js';
 
 const bookmarkSchema = new mongoose.Schema(
   {
@@ -12,6 +13,10 @@ const bookmarkSchema = new mongoose.Schema(
       ref: 'Note',
       required: true,
     },
+    bookmarkCollection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookmarkCollection',
+    },
   },
   {
     timestamps: true,
@@ -20,6 +25,53 @@ const bookmarkSchema = new mongoose.Schema(
 
 // Compound index to ensure a user can't bookmark the same note twice
 bookmarkSchema.index({ user: 1, note: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, bookmarkCollection: 1 });
+
+// Create a bookmark and record it on the user and the note in one transaction
+bookmarkSchema.statics.addForUser = function (userId, noteId, collectionId) {
+  return withTransaction(async (session) => {
+    const [bookmark] = await this.create(
+      [{ user: userId, note: noteId, bookmarkCollection: collectionId }],
+      { session }
+    );
+
+    await mongoose.model('User').updateOne(
+      { _id: userId },
+      { $addToSet: { bookmarks: noteId } },
+      { session }
+    );
+    await mongoose.model('Note').updateOne(
+      { _id: noteId },
+      { $addToSet: { bookmarkedBy: userId } },
+      { session }
+    );
+
+    return bookmark;
+  });
+};
+
+// Delete the bookmark matching `filter` and remove it from the user and the note
+// in one transaction. Resolves to the deleted bookmark, or null if none matched.
+bookmarkSchema.statics.removeForUser = function (filter) {
+  return withTransaction(async (session) => {
+    const bookmark = await this.findOneAndDelete(filter, { session });
+
+    if (bookmark) {
+      await mongoose.model('User').updateOne(
+        { _id: bookmark.user },
+        { $pull: { bookmarks: bookmark.note } },
+        { session }
+      );
+      await mongoose.model('Note').updateOne(
+        { _id: bookmark.note },
+        { $pull: { bookmarkedBy: bookmark.user } },
+        { session }
+      );
+    }
+
+    return bookmark;
+  });
+};
 
 const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
 
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const bookmarkCollectionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Collection name is required'],
+      trim: true,
+      maxlength: [50, 'Collection name must not exceed 50 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description must not exceed 200 characters'],
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    shareId: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(9).toString('base64url'),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Collection names are unique per user, and each user has one default collection
+bookmarkCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+bookmarkCollectionSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+export const DEFAULT_COLLECTION_NAME = 'Saved';
+
+// Get (or create) a user's default collection
+bookmarkCollectionSchema.statics.getDefault = async function (userId) {
+  const existing = await this.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+
+  // Upserted so concurrent first requests still create only one
+  return this.findOneAndUpdate(
+    { user: userId, isDefault: true },
+    { $setOnInsert: { name: DEFAULT_COLLECTION_NAME, order: 0 } },
+    { new: true, upsert: true }
+  );
+};
+
+const BookmarkCollection = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
+
+export default BookmarkCollection;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null, // null for top-level comments
+    },
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null, // Top-level comment of the thread (null for top-level comments)
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment must not exceed 2000 characters'],
+    },
+    isUploaderReply: {
+      type: Boolean,
+      default: false, // Written by the note's uploader
+    },
+    upvotes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedBy: {
+      type: String,
+      enum: ['author', 'admin'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ note: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+// Deleted comments keep their place in the thread but lose their content
+commentSchema.methods.toJSON = function () {
+  const comment = this.toObject();
+  delete comment.upvotes;
+  if (comment.isDeleted) {
+    comment.body = null;
+    comment.author = null;
+  }
+  return comment;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
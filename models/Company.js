@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const companySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      trim: true,
+      maxlength: [100, 'Company name must not exceed 100 characters'],
+    },
+    nameKey: {
+      type: String, // Lowercased name, so "Acme" and "acme" are the same company
+      unique: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description must not exceed 1000 characters'],
+    },
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+companySchema.pre('save', function (next) {
+  if (this.isModified('name')) {
+    this.nameKey = this.name.toLowerCase();
+  }
+  next();
+});
+
+// Find a company by name (case-insensitively) or create it
+companySchema.statics.findOrCreate = async function (name, data = {}) {
+  const existing = await this.findOne({ nameKey: name.trim().toLowerCase() });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ ...data, name });
+  } catch (error) {
+    // Created concurrently by someone else
+    if (error.code === 11000) {
+      return this.findOne({ nameKey: name.trim().toLowerCase() });
+    }
+    throw error;
+  }
+};
+
+const Company = mongoose.model('Company', companySchema);
+
+export default Company;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PERMISSIONS } from '../utils/constants.js';
 
 const jobSchema = new mongoose.Schema(
   {
@@ -14,6 +15,10 @@ const jobSchema = new mongoose.Schema(
       required: [true, 'Company name is required'],
       trim: true,
     },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company', // Set for jobs posted on behalf of a registered company
+    },
     description: {
       type: String,
       required: [true, 'Description is required'],
@@ -77,6 +82,15 @@ const jobSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     }],
+    publishAt: {
+      type: Date, // Drafts with this set go live automatically at that time
+    },
+    closedAt: {
+      type: Date,
+    },
+    reminderSentAt: {
+      type: Date,
+    },
     views: {
       type: Number,
       default: 0,
@@ -95,6 +109,79 @@ const jobSchema = new mongoose.Schema(
 jobSchema.index({ title: 'text', company: 'text', description: 'text' });
 jobSchema.index({ type: 1, status: 1 });
 jobSchema.index({ applicationDeadline: 1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ companyId: 1, createdAt: -1 });
+
+// Whether the job is the user's own: they posted it or recruit for its company
+jobSchema.methods.isOwnedBy = function (user) {
+  if (this.companyId && user.company && this.companyId.equals(user.company)) return true;
+  return this.postedBy.toString() === user._id.toString();
+};
+
+// Whether a user may edit the job and see its applicants: job managers, and
+// job posters who own it
+jobSchema.methods.isManageableBy = function (user) {
+  if (user.hasPermission(PERMISSIONS.JOBS_MANAGE)) return true;
+  return user.hasPermission(PERMISSIONS.JOBS_POST) && this.isOwnedBy(user);
+};
+
+// Check a user against the job's eligibility rules; every unmet rule is
+// reported. Missing profile data counts as unmet, so the user knows what to add.
+jobSchema.methods.checkEligibility = function (user) {
+  const { branches = [], minCGPA, graduationYear = [] } = this.eligibility || {};
+  const reasons = [];
+
+  if (branches.length && !branches.includes(user.branch)) {
+    reasons.push(`Open to ${branches.join(', ')} students only`);
+  }
+
+  if (minCGPA != null) {
+    if (user.cgpa == null) {
+      reasons.push(`Requires a CGPA of at least ${minCGPA}; add your CGPA to your profile`);
+    } else if (user.cgpa < minCGPA) {
+      reasons.push(`Requires a CGPA of at least ${minCGPA} (yours is ${user.cgpa})`);
+    }
+  }
+
+  if (graduationYear.length) {
+    if (user.graduationYear == null) {
+      reasons.push(
+        `Open to the ${graduationYear.join(', ')} graduating batches; add your graduation year to your profile`
+      );
+    } else if (!graduationYear.includes(user.graduationYear)) {
+      reasons.push(
+        `Open to the ${graduationYear.join(', ')} graduating batches (yours is ${user.graduationYear})`
+      );
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// Query conditions matching the jobs a user is eligible for (mirrors checkEligibility)
+jobSchema.statics.eligibilityFilter = function (user) {
+  const openTo = (field, value) => ({
+    $or: [
+      { [field]: { $exists: false } },
+      { [field]: { $size: 0 } },
+      ...(value == null ? [] : [{ [field]: value }]),
+    ],
+  });
+
+  return {
+    $and: [
+      openTo('eligibility.branches', user.branch),
+      {
+        $or: [
+          { 'eligibility.minCGPA': null },
+          ...(user.cgpa == null ? [] : [{ 'eligibility.minCGPA': { $lte: user.cgpa } }]),
+        ],
+      },
+      openTo('eligibility.graduationYear', user.graduationYear),
+    ],
+  };
+};
 
 // Method to increment views
 jobSchema.methods.incrementViews = async function () {
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+export const MAX_ALERTS_PER_USER = 10;
+
+const jobAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Alert name must not exceed 50 characters'],
+    },
+    // Every criterion that is set must match (skills: at least one of them);
+    // unset ones match any job
+    criteria: {
+      type: {
+        type: String,
+        enum: ['Job', 'Internship'],
+      },
+      locationType: {
+        type: String,
+        enum: ['Remote', 'On-site', 'Hybrid'],
+      },
+      location: {
+        type: String,
+        trim: true,
+      },
+      skills: [{
+        type: String,
+        trim: true,
+      }],
+      minStipend: {
+        type: Number,
+        min: 0,
+      },
+    },
+    frequency: {
+      type: String,
+      enum: ['instant', 'daily'], // Notify per posting, or collect them into a daily digest
+      default: 'instant',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    pendingJobs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job', // Matches waiting for the next daily digest
+    }],
+    lastDigestAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobAlertSchema.index({ user: 1 });
+jobAlertSchema.index({ isActive: 1, 'criteria.type': 1, 'criteria.locationType': 1 });
+jobAlertSchema.index({ frequency: 1, pendingJobs: 1 });
+
+// Whether any criterion is set (an alert without one would match every job)
+jobAlertSchema.methods.hasCriteria = function () {
+  const { type, locationType, location, skills, minStipend } = this.criteria || {};
+  return Boolean(type || locationType || location || skills?.length || minStipend != null);
+};
+
+// Whether a job matches the alert's criteria
+jobAlertSchema.methods.matches = function (job) {
+  const { type, locationType, location, skills, minStipend } = this.criteria || {};
+
+  if (type && job.type !== type) return false;
+  if (locationType && job.locationType !== locationType) return false;
+  if (location && !job.location.toLowerCase().includes(location.toLowerCase())) {
+    return false;
+  }
+  if (skills?.length) {
+    const jobSkills = job.skills.map(skill => skill.toLowerCase());
+    if (!skills.some(skill => jobSkills.includes(skill.toLowerCase()))) return false;
+  }
+  if (minStipend != null && !((job.stipend?.amount || 0) >= minStipend)) return false;
+
+  return true;
+};
+
+const JobAlert = mongoose.model('JobAlert', jobAlertSchema);
+
+export default JobAlert;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A student having opened a job, so they can be reminded of its deadline
+const jobViewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index so each student's view of a job is recorded once
+jobViewSchema.index({ user: 1, job: 1 }, { unique: true });
+jobViewSchema.index({ job: 1 });
+
+const JobView = mongoose.model('JobView', jobViewSchema);
+
+export default JobView;
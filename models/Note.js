@@ -1,5 +1,50 @@
 import mongoose from 'mongoose';
-import { NOTE_STATUS } from '../utils/constants.js';
+import { withTransaction } from '../config/db.js';
+import { NOTE_STATUS, PERMISSIONS, FILE_TYPES } from '../utils/constants.js';
+import { fileUrlFor } from '../utils/fileUrl.js';
+
+const noteVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    fileUrl: {
+      type: String,
+      required: true,
+    },
+    fileType: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number, // in bytes
+    },
+    fileHash: {
+      type: String,
+    },
+    storageProvider: {
+      type: String,
+    },
+    storageKey: {
+      type: String,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changelog: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Changelog must not exceed 500 characters'],
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const noteSchema = new mongoose.Schema(
   {
@@ -42,19 +87,70 @@ const noteSchema = new mongoose.Schema(
     fileSize: {
       type: Number, // in bytes
     },
-    cloudinaryPublicId: {
+    fileHash: {
+      type: String, // SHA-256 of the file contents, used for duplicate detection
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note', // Set when an exact duplicate was allowed through and flagged
+    },
+    thumbnailUrl: {
       type: String,
-      required: true,
+      default: null, // Set once the preview has been generated
+    },
+    thumbnailKey: {
+      type: String,
+    },
+    thumbnailProvider: {
+      type: String,
+    },
+    pageCount: {
+      type: Number,
+    },
+    content: {
+      type: String, // Text extracted from PDF/DOCX files for search
+      select: false,
+    },
+    contentStatus: {
+      type: String,
+      enum: ['pending', 'processed', 'failed', 'unsupported'],
+    },
+    storageProvider: {
+      type: String,
+      default: 'cloudinary',
+    },
+    storageKey: {
+      type: String,
+    },
+    cloudinaryPublicId: {
+      type: String, // Legacy storage key for notes uploaded before storageKey existed
     },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+    versions: [noteVersionSchema], // File history, including the current version
     status: {
       type: String,
       enum: Object.values(NOTE_STATUS),
-      default: NOTE_STATUS.APPROVED, // Auto-approve for now
+      default: NOTE_STATUS.APPROVED, // Overridden on upload when moderation is enabled
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Rejection reason must not exceed 500 characters'],
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: {
+      type: Date,
     },
     views: {
       type: Number,
@@ -89,9 +185,110 @@ const noteSchema = new mongoose.Schema(
 );
 
 // Index for faster searches
-noteSchema.index({ title: 'text', description: 'text', subject: 'text' });
+// Full-text search index. MongoDB allows a single text index per collection and
+// won't replace an existing one, so run `npm run sync-note-indexes` after
+// changing its fields or weights
+noteSchema.index(
+  { title: 'text', tags: 'text', subject: 'text', description: 'text', content: 'text' },
+  {
+    name: 'note_text_search',
+    weights: { title: 10, tags: 6, subject: 4, description: 2, content: 1 },
+  }
+);
 noteSchema.index({ semester: 1, branch: 1, subject: 1 });
 noteSchema.index({ uploadedBy: 1 });
+noteSchema.index({ status: 1, createdAt: -1 });
+noteSchema.index({ fileHash: 1 });
+
+// Method to check if a user may see this note (non-approved notes are owner/moderator only)
+noteSchema.methods.isVisibleTo = function (user) {
+  if (this.status === NOTE_STATUS.APPROVED) return true;
+  if (!user) return false;
+
+  const ownerId = this.uploadedBy._id || this.uploadedBy;
+  return (
+    user.hasPermission(PERMISSIONS.NOTES_MODERATE) ||
+    ownerId.toString() === user._id.toString()
+  );
+};
+
+// Where a file version is stored
+const getVersionRef = (version) => ({
+  provider: version.storageProvider,
+  key: version.storageKey,
+  mimetype: version.fileType,
+});
+
+// Method to describe where the note's file is stored
+noteSchema.methods.getFileRef = function () {
+  return {
+    provider: this.storageProvider,
+    key: this.storageKey || this.cloudinaryPublicId,
+    mimetype: this.fileType,
+  };
+};
+
+// Method to snapshot the current file as a version entry
+noteSchema.methods.currentFileAsVersion = function () {
+  return {
+    version: this.currentVersion,
+    fileUrl: this.fileUrl,
+    fileType: this.fileType,
+    fileSize: this.fileSize,
+    storageProvider: this.storageProvider,
+    storageKey: this.storageKey || this.cloudinaryPublicId,
+    fileHash: this.fileHash,
+    uploadedBy: this.uploadedBy._id || this.uploadedBy,
+    uploadedAt: this.createdAt,
+  };
+};
+
+// Locally stored files are only reachable through signed URLs, issued to
+// whoever the note is sent to
+noteSchema.methods.toJSON = function () {
+  const note = this.toObject();
+
+  if (note.fileUrl) {
+    note.fileUrl = fileUrlFor(this.getFileRef(), note.fileUrl);
+  }
+  if (note.thumbnailUrl) {
+    note.thumbnailUrl = fileUrlFor(this.getThumbnailRef(), note.thumbnailUrl);
+  }
+  if (note.versions) {
+    note.versions = note.versions.map(version => ({
+      ...version,
+      fileUrl: fileUrlFor(getVersionRef(version), version.fileUrl),
+    }));
+  }
+  return note;
+};
+
+// Method to get the version history (notes created before versioning only have their current file)
+noteSchema.methods.getVersions = function () {
+  return this.versions.length > 0 ? this.versions : [this.currentFileAsVersion()];
+};
+
+// Method to list every stored object belonging to the note (all versions and the preview)
+noteSchema.methods.getStoredFileRefs = function () {
+  const refs = [
+    this.getFileRef(),
+    ...this.versions.map(getVersionRef),
+    this.getThumbnailRef(),
+  ];
+
+  return refs.filter(
+    (ref, index) => ref.key && refs.findIndex(other => other.key === ref.key) === index
+  );
+};
+
+// Method to describe where the note's preview image is stored
+noteSchema.methods.getThumbnailRef = function () {
+  return {
+    provider: this.thumbnailProvider,
+    key: this.thumbnailKey,
+    mimetype: FILE_TYPES.JPG,
+  };
+};
 
 // Method to increment views
 noteSchema.methods.incrementViews = async function () {
@@ -105,6 +302,57 @@ noteSchema.methods.incrementDownloads = async function () {
   await this.save();
 };
 
+// Atomically fold a rating change into the aggregate. `sumDelta` is the change
+// to the sum of all ratings and `countDelta` the change to the number of ratings,
+// e.g. a new 4-star review is (4, 1) and changing it to 2 stars is (-2, 0).
+noteSchema.statics.applyRatingChange = function (noteId, sumDelta, countDelta) {
+  const newCount = { $add: ['$ratingCount', countDelta] };
+
+  return this.updateOne({ _id: noteId }, [
+    {
+      $set: {
+        rating: {
+          $cond: [
+            { $gt: [newCount, 0] },
+            {
+              $divide: [
+                { $add: [{ $multiply: ['$rating', '$ratingCount'] }, sumDelta] },
+                newCount,
+              ],
+            },
+            0,
+          ],
+        },
+        ratingCount: { $max: [newCount, 0] },
+      },
+    },
+  ]);
+};
+
+// Delete a note together with every reference to it (uploader's uploadedNotes,
+// bookmarks, users' bookmark arrays, reviews and comments) in one transaction.
+// Stored files are not touched; callers remove them separately.
+noteSchema.statics.removeWithReferences = function (note) {
+  return withTransaction(async (session) => {
+    const User = mongoose.model('User');
+
+    await User.updateOne(
+      { _id: note.uploadedBy },
+      { $pull: { uploadedNotes: note._id } },
+      { session }
+    );
+    await User.updateMany(
+      { bookmarks: note._id },
+      { $pull: { bookmarks: note._id } },
+      { session }
+    );
+    await mongoose.model('Bookmark').deleteMany({ note: note._id }, { session });
+    await mongoose.model('Review').deleteMany({ note: note._id }, { session });
+    await mongoose.model('Comment').deleteMany({ note: note._id }, { session });
+    await this.deleteOne({ _id: note._id }, { session });
+  });
+};
+
 const Note = mongoose.model('Note', noteSchema);
 
 export default Note;
\ No newline at end of file
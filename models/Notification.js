@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../utils/constants.js';
+
+// Notifications are kept for 90 days
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TYPES),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    link: {
+      type: String, // Client path of the related resource, e.g. /notes/:id
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String, // Shared by every token rotated from the same login
+      required: true,
+    },
+    tokenVersion: {
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    replacedByHash: {
+      type: String,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired tokens are removed automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// Hash a raw refresh token (only hashes are ever stored)
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a refresh token for a user and return the raw token
+refreshTokenSchema.statics.issue = async function (user, { family, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+  await this.create({
+    user: user._id,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent,
+  });
+
+  return token;
+};
+
+// Revoke every active refresh token of a user
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating must not exceed 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number',
+      },
+    },
+    review: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review must not exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index to ensure a user can only review a note once
+reviewSchema.index({ note: 1, user: 1 }, { unique: true });
+reviewSchema.index({ note: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const savedJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index to ensure a user can't save the same job twice
+savedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+savedJobSchema.index({ job: 1 });
+
+const SavedJob = mongoose.model('SavedJob', savedJobSchema);
+
+export default SavedJob;
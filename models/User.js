@@ -1,6 +1,21 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { USER_ROLES } from '../utils/constants.js';
+import crypto from 'crypto';
+import resumeSchema from './resumeSchema.js';
+import {
+  USER_ROLES,
+  RECRUITER_STATUS,
+  NOTIFICATION_TYPES,
+  ROLE_PERMISSIONS,
+} from '../utils/constants.js';
+
+// One on/off switch per notification type, all on by default
+const notificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(
+    Object.values(NOTIFICATION_TYPES).map(type => [type, { type: Boolean, default: true }])
+  ),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -40,6 +55,34 @@ const userSchema = new mongoose.Schema(
       min: 1,
       max: 8,
     },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: function() {
+        return this.role === USER_ROLES.RECRUITER;
+      },
+    },
+    companyConfirmed: {
+      type: Boolean, // False while a self-registered recruiter's claim to a verified company awaits an admin
+    },
+    recruiterStatus: {
+      type: String,
+      enum: Object.values(RECRUITER_STATUS), // Recruiters post jobs only once approved
+    },
+    recruiterRejectionReason: {
+      type: String,
+      trim: true,
+    },
+    cgpa: {
+      type: Number,
+      min: [0, 'CGPA must be at least 0'],
+      max: [10, 'CGPA must not exceed 10'],
+    },
+    graduationYear: {
+      type: Number,
+      min: [2000, 'Graduation year must be 2000 or later'],
+      max: [2100, 'Graduation year must be before 2100'],
+    },
     avatar: {
       type: String,
       default: 'https://res.cloudinary.com/demo/image/upload/avatar-default.png',
@@ -48,6 +91,37 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    tokenVersion: {
+      type: Number,
+      default: 0, // Incrementing this invalidates every issued token
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String, // SHA-256 hash of the emailed token
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String, // SHA-256 hash of the emailed token
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    resume: {
+      type: resumeSchema, // Default resume attached to job applications
+    },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({}),
+    },
     uploadedNotes: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Note',
@@ -70,18 +144,69 @@ userSchema.pre('save', async function (next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Changing the password signs the user out everywhere
+  if (!this.isNew) {
+    this.tokenVersion += 1;
+  }
   next();
 });
 
+// Permissions granted by the user's role (none until a recruiter is approved)
+userSchema.methods.getPermissions = function () {
+  if (this.role === USER_ROLES.RECRUITER && this.recruiterStatus !== RECRUITER_STATUS.APPROVED) {
+    return [];
+  }
+  return ROLE_PERMISSIONS[this.role] || [];
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash an emailed token (only hashes are stored)
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to create a single-use password reset token
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to create an email verification token
+userSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
 // Method to get user without sensitive data
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.tokenVersion;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  if (user.resume) {
+    delete user.resume.provider;
+    delete user.resume.key;
+  }
   return user;
 };
 
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A stored resume PDF, shared by user profiles and job applications.
+// The storage location is never sent to clients: resumes are only
+// downloadable through signed, expiring URLs (see utils/resume.js).
+const resumeSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    fileSize: {
+      type: Number,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.provider;
+        delete ret.key;
+        return ret;
+      },
+    },
+  }
+);
+
+export default resumeSchema;
@@ -6,25 +6,136 @@ import {
   deleteUser,
   getAllNotes,
   deleteNoteAdmin,
+  approveNote,
+  rejectNote,
+  bulkApproveNotes,
+  bulkRejectNotes,
+  getDuplicateReport,
+  mergeDuplicateNotes,
+  reconcileData,
+  getAllComments,
+  deleteCommentAdmin,
+  getExpiredJobs,
+  getRecruiters,
+  approveRecruiter,
+  rejectRecruiter,
+  getCompanies,
+  verifyCompany,
+  unverifyCompany,
+  getRoles,
+  assignRole,
+  getAuditLog,
 } from '../controllers/adminController.js';
 import { protect } from '../middleware/auth.js';
-import { isAdmin } from '../middleware/admin.js';
+import { requirePermission } from '../middleware/permissions.js';
+import {
+  rejectNoteValidation,
+  bulkModerationValidation,
+  mergeDuplicatesValidation,
+  recruiterApprovalValidation,
+  recruiterRejectionValidation,
+  roleAssignmentValidation,
+  auditQueryValidation,
+  validate,
+} from '../utils/validateInput.js';
+import { PERMISSIONS } from '../utils/constants.js';
 
 const router = express.Router();
 
-// All routes are protected and admin-only
-router.use(protect, isAdmin);
+// All routes are protected; each one needs its own permission
+router.use(protect);
+
+const canViewStats = requirePermission(PERMISSIONS.STATS_VIEW);
+const canManageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const canAssignRoles = requirePermission(PERMISSIONS.ROLES_ASSIGN);
+const canManageNotes = requirePermission(PERMISSIONS.NOTES_MANAGE);
+const canModerateNotes = requirePermission(PERMISSIONS.NOTES_MODERATE);
+const canManageJobs = requirePermission(PERMISSIONS.JOBS_MANAGE);
+const canVerifyCompanies = requirePermission(PERMISSIONS.COMPANIES_VERIFY);
+const canModerateComments = requirePermission(PERMISSIONS.COMMENTS_MODERATE);
+const canRunMaintenance = requirePermission(PERMISSIONS.MAINTENANCE_RUN);
+const canViewAudit = requirePermission(PERMISSIONS.AUDIT_VIEW);
 
 // Dashboard
-router.get('/stats', getDashboardStats);
+router.get('/stats', canViewStats, getDashboardStats);
 
 // User management
-router.get('/users', getAllUsers);
-router.patch('/users/:id/toggle-status', toggleUserStatus);
-router.delete('/users/:id', deleteUser);
+router.get('/users', canManageUsers, getAllUsers);
+router.patch('/users/:id/toggle-status', canManageUsers, toggleUserStatus);
+router.delete('/users/:id', canManageUsers, deleteUser);
+
+// Roles
+router.get('/roles', canAssignRoles, getRoles);
+router.patch(
+  '/users/:id/role',
+  canAssignRoles,
+  roleAssignmentValidation,
+  validate,
+  assignRole
+);
 
 // Note management
-router.get('/notes', getAllNotes);
-router.delete('/notes/:id', deleteNoteAdmin);
+router.get('/notes', canManageNotes, getAllNotes);
+router.get('/notes/duplicates', canManageNotes, getDuplicateReport);
+router.post(
+  '/notes/duplicates/merge',
+  canManageNotes,
+  mergeDuplicatesValidation,
+  validate,
+  mergeDuplicateNotes
+);
+router.delete('/notes/:id', canManageNotes, deleteNoteAdmin);
+
+// Note moderation
+router.patch(
+  '/notes/bulk/approve',
+  canModerateNotes,
+  bulkModerationValidation,
+  validate,
+  bulkApproveNotes
+);
+router.patch(
+  '/notes/bulk/reject',
+  canModerateNotes,
+  bulkModerationValidation,
+  rejectNoteValidation,
+  validate,
+  bulkRejectNotes
+);
+router.patch('/notes/:id/approve', canModerateNotes, approveNote);
+router.patch('/notes/:id/reject', canModerateNotes, rejectNoteValidation, validate, rejectNote);
+
+// Job management
+router.get('/jobs/expired', canManageJobs, getExpiredJobs);
+
+// Recruiter and company management
+router.get('/recruiters', canManageUsers, getRecruiters);
+router.patch(
+  '/recruiters/:id/approve',
+  canManageUsers,
+  recruiterApprovalValidation,
+  validate,
+  approveRecruiter
+);
+router.patch(
+  '/recruiters/:id/reject',
+  canManageUsers,
+  recruiterRejectionValidation,
+  validate,
+  rejectRecruiter
+);
+router.get('/companies', canVerifyCompanies, getCompanies);
+router.patch('/companies/:id/verify', canVerifyCompanies, verifyCompany);
+router.patch('/companies/:id/unverify', canVerifyCompanies, unverifyCompany);
+
+// Comment moderation
+router.get('/comments', canModerateComments, getAllComments);
+router.delete('/comments/:id', canModerateComments, deleteCommentAdmin);
+
+// Audit log
+router.get('/audit', canViewAudit, auditQueryValidation, validate, getAuditLog);
+
+// Maintenance
+router.post('/maintenance/reconcile', canRunMaintenance, reconcileData);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,25 +1,81 @@
 import express from 'express';
 import {
   register,
+  registerRecruiter,
   login,
   getMe,
   updateProfile,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  uploadProfileResume,
+  downloadProfileResume,
+  deleteProfileResume,
 } from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
+import { uploadResume, handleUploadError } from '../middleware/upload.js';
+import {
+  emailRequestIpLimiter,
+  passwordResetLimiter,
+  verificationEmailLimiter,
+} from '../middleware/rateLimit.js';
 import {
   registerValidation,
+  recruiterRegisterValidation,
   loginValidation,
+  profileUpdateValidation,
+  refreshTokenValidation,
+  changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
   validate,
 } from '../utils/validateInput.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', registerValidation, validate, register);
+// Registering sends a verification email, so it shares the per-IP email limit
+router.post('/register', emailRequestIpLimiter, registerValidation, validate, register);
+router.post(
+  '/register/recruiter',
+  emailRequestIpLimiter,
+  recruiterRegisterValidation,
+  validate,
+  registerRecruiter
+);
 router.post('/login', loginValidation, validate, login);
+router.post('/refresh', refreshTokenValidation, validate, refreshAccessToken);
+router.post('/logout', refreshTokenValidation, validate, logout);
+router.post(
+  '/forgot-password',
+  emailRequestIpLimiter,
+  forgotPasswordValidation,
+  validate,
+  passwordResetLimiter,
+  forgotPassword
+);
+router.post('/reset-password/:token', resetPasswordValidation, validate, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfile);
+router.put('/profile', protect, profileUpdateValidation, validate, updateProfile);
+router.get('/profile/resume', protect, downloadProfileResume);
+router.put('/profile/resume', protect, uploadResume, handleUploadError, uploadProfileResume);
+router.delete('/profile/resume', protect, deleteProfileResume);
+router.put('/password', protect, changePasswordValidation, validate, changePassword);
+router.post('/logout-all', protect, logoutAll);
+router.post(
+  '/resend-verification',
+  protect,
+  emailRequestIpLimiter,
+  verificationEmailLimiter,
+  resendVerificationEmail
+);
 
 export default router;
\ No newline at end of file
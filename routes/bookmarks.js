@@ -5,16 +5,45 @@ import {
   getMyBookmarks,
   checkBookmark,
 } from '../controllers/bookmarkController.js';
+import {
+  getCollections,
+  createCollection,
+  updateCollection,
+  reorderCollections,
+  deleteCollection,
+  addNoteToCollection,
+  removeNoteFromCollection,
+  getSharedCollection,
+} from '../controllers/collectionController.js';
 import { protect } from '../middleware/auth.js';
+import {
+  collectionValidation,
+  collectionUpdateValidation,
+  collectionOrderValidation,
+  bookmarkQueryValidation,
+  validate,
+} from '../utils/validateInput.js';
 
 const router = express.Router();
 
-// All routes are protected
+// Public routes
+router.get('/collections/shared/:shareId', getSharedCollection);
+
+// All other routes are protected
 router.use(protect);
 
-router.get('/', getMyBookmarks);
+// Collections (registered before /:noteId so they aren't captured by it)
+router.get('/collections', getCollections);
+router.post('/collections', collectionValidation, validate, createCollection);
+router.put('/collections/order', collectionOrderValidation, validate, reorderCollections);
+router.patch('/collections/:id', collectionUpdateValidation, validate, updateCollection);
+router.delete('/collections/:id', deleteCollection);
+router.post('/collections/:id/notes/:noteId', addNoteToCollection);
+router.delete('/collections/:id/notes/:noteId', removeNoteFromCollection);
+
+router.get('/', bookmarkQueryValidation, validate, getMyBookmarks);
 router.post('/:noteId', addBookmark);
 router.delete('/:noteId', removeBookmark);
 router.get('/check/:noteId', checkBookmark);
 
-export default router;
\ No newline at end of file
+export default router;
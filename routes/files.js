@@ -0,0 +1,8 @@
+import express from 'express';
+import { serveFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+router.get('/', serveFile);
+
+export default router;
@@ -8,24 +8,113 @@ import {
   applyForJob,
   getMyApplications,
   getJobApplications,
+  updateApplicationStatus,
+  bulkUpdateApplicationStatus,
+  withdrawApplication,
+  downloadApplicationResume,
+  scheduleJob,
+  saveJob,
+  unsaveJob,
+  getSavedJobs,
+  getManagedJobs,
 } from '../controllers/jobController.js';
-import { protect } from '../middleware/auth.js';
-import { isAdmin } from '../middleware/admin.js';
+import {
+  getJobAlerts,
+  createJobAlert,
+  updateJobAlert,
+  deleteJobAlert,
+} from '../controllers/jobAlertController.js';
+import { protect, optionalAuth, requireVerifiedEmail } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { uploadResume, handleUploadError } from '../middleware/upload.js';
+import {
+  applicationStatusValidation,
+  bulkApplicationStatusValidation,
+  withdrawApplicationValidation,
+  scheduleJobValidation,
+  savedJobValidation,
+  jobAlertValidation,
+  jobAlertUpdateValidation,
+  jobValidation,
+  jobUpdateValidation,
+  applicationValidation,
+  validate,
+} from '../utils/validateInput.js';
+import { PERMISSIONS } from '../utils/constants.js';
 
 const router = express.Router();
 
+const canPostJobs = requirePermission(PERMISSIONS.JOBS_POST);
+
 // Public routes
-router.get('/', getJobs);
-router.get('/:id', getJobById);
+router.get('/', optionalAuth, getJobs);
+router.get('/:id', optionalAuth, getJobById);
+router.get('/applications/:applicationId/resume', downloadApplicationResume);
 
 // Protected routes
-router.post('/:id/apply', protect, applyForJob);
+router.post(
+  '/:id/apply',
+  protect,
+  requireVerifiedEmail,
+  uploadResume,
+  handleUploadError,
+  applicationValidation,
+  validate,
+  applyForJob
+);
+router.post(
+  '/:id/withdraw',
+  protect,
+  withdrawApplicationValidation,
+  validate,
+  withdrawApplication
+);
 router.get('/user/my-applications', protect, getMyApplications);
+router.get('/user/saved', protect, getSavedJobs);
+router.post('/:id/save', protect, savedJobValidation, validate, saveJob);
+router.delete('/:id/save', protect, savedJobValidation, validate, unsaveJob);
+
+// Job alerts (saved searches)
+router.get('/user/alerts', protect, getJobAlerts);
+router.post('/user/alerts', protect, jobAlertValidation, validate, createJobAlert);
+router.put(
+  '/user/alerts/:alertId',
+  protect,
+  jobAlertUpdateValidation,
+  validate,
+  updateJobAlert
+);
+router.delete('/user/alerts/:alertId', protect, deleteJobAlert);
 
-// Admin routes
-router.post('/', protect, isAdmin, createJob);
-router.put('/:id', protect, isAdmin, updateJob);
-router.delete('/:id', protect, isAdmin, deleteJob);
-router.get('/:id/applications', protect, isAdmin, getJobApplications);
+// Job management routes (jobs:post; recruiters only manage their company's jobs)
+router.get('/user/company-jobs', protect, canPostJobs, getManagedJobs);
+router.post('/', protect, canPostJobs, jobValidation, validate, createJob);
+router.put('/:id', protect, canPostJobs, jobUpdateValidation, validate, updateJob);
+router.delete('/:id', protect, canPostJobs, deleteJob);
+router.patch(
+  '/:id/schedule',
+  protect,
+  canPostJobs,
+  scheduleJobValidation,
+  validate,
+  scheduleJob
+);
+router.get('/:id/applications', protect, canPostJobs, getJobApplications);
+router.patch(
+  '/applications/bulk/status',
+  protect,
+  canPostJobs,
+  bulkApplicationStatusValidation,
+  validate,
+  bulkUpdateApplicationStatus
+);
+router.patch(
+  '/applications/:applicationId/status',
+  protect,
+  canPostJobs,
+  applicationStatusValidation,
+  validate,
+  updateApplicationStatus
+);
 
 export default router;
\ No newline at end of file
@@ -7,30 +7,100 @@ import {
   updateNote,
   deleteNote,
   getMyNotes,
+  uploadNoteVersion,
+  getNoteVersions,
+  downloadNoteVersion,
+  rollbackNoteVersion,
+  checkDuplicates,
 } from '../controllers/noteController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  addReview,
+  updateReview,
+  deleteReview,
+  getNoteReviews,
+} from '../controllers/reviewController.js';
+import {
+  getNoteComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  removeCommentUpvote,
+} from '../controllers/commentController.js';
+import { protect, optionalAuth, requireVerifiedEmail } from '../middleware/auth.js';
 import { uploadSingle, handleUploadError } from '../middleware/upload.js';
-import { noteValidation, validate } from '../utils/validateInput.js';
+import {
+  noteValidation,
+  noteVersionValidation,
+  noteUpdateValidation,
+  reviewValidation,
+  reviewUpdateValidation,
+  commentValidation,
+  commentUpdateValidation,
+  validate,
+} from '../utils/validateInput.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getNotes);
-router.get('/:id', getNoteById);
-router.post('/:id/download', downloadNote);
+router.get('/:id', optionalAuth, getNoteById);
+router.post('/:id/download', optionalAuth, downloadNote);
+router.get('/:id/reviews', optionalAuth, getNoteReviews);
+router.get('/:id/comments', optionalAuth, getNoteComments);
+router.get('/:id/versions', optionalAuth, getNoteVersions);
+router.post('/:id/versions/:version/download', optionalAuth, downloadNoteVersion);
 
 // Protected routes
 router.post(
   '/',
   protect,
+  requireVerifiedEmail,
   uploadSingle,
   handleUploadError,
   noteValidation,
   validate,
   uploadNote
 );
+router.post(
+  '/check-duplicates',
+  protect,
+  uploadSingle,
+  handleUploadError,
+  noteValidation,
+  validate,
+  checkDuplicates
+);
 router.get('/user/my-notes', protect, getMyNotes);
-router.put('/:id', protect, updateNote);
+router.put('/:id', protect, noteUpdateValidation, validate, updateNote);
 router.delete('/:id', protect, deleteNote);
+router.put(
+  '/:id/file',
+  protect,
+  uploadSingle,
+  handleUploadError,
+  noteVersionValidation,
+  validate,
+  uploadNoteVersion
+);
+router.post('/:id/versions/:version/rollback', protect, rollbackNoteVersion);
+
+// Review routes
+router.post('/:id/reviews', protect, reviewValidation, validate, addReview);
+router.put('/:id/reviews', protect, reviewUpdateValidation, validate, updateReview);
+router.delete('/:id/reviews', protect, deleteReview);
+
+// Comment routes
+router.post('/:id/comments', protect, commentValidation, validate, addComment);
+router.put(
+  '/:id/comments/:commentId',
+  protect,
+  commentUpdateValidation,
+  validate,
+  updateComment
+);
+router.delete('/:id/comments/:commentId', protect, deleteComment);
+router.post('/:id/comments/:commentId/upvote', protect, upvoteComment);
+router.delete('/:id/comments/:commentId/upvote', protect, removeCommentUpvote);
 
 export default router;
\ No newline at end of file
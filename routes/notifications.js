@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+} from '../controllers/notificationController.js';
+import { protect } from '../middleware/auth.js';
+import {
+  notificationPreferencesValidation,
+  validate,
+} from '../utils/validateInput.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.patch('/read-all', markAllAsRead);
+router.get('/preferences', getPreferences);
+router.put(
+  '/preferences',
+  notificationPreferencesValidation,
+  validate,
+  updatePreferences
+);
+router.patch('/:id/read', markAsRead);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { streamEvents } from '../controllers/realtimeController.js';
+import { protect, allowQueryToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/stream', allowQueryToken, protect, streamEvents);
+
+export default router;
@@ -0,0 +1,41 @@
+// Mark accounts created before email verification existed as verified, so
+// turning on REQUIRE_EMAIL_VERIFICATION doesn't lock existing users out.
+// Accounts without the field are always included; pass --before to also
+// include accounts created before a date (e.g. the day verification shipped).
+// Usage: npm run backfill-email-verification [-- --before 2025-01-31] [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const beforeIndex = process.argv.indexOf('--before');
+const before = beforeIndex === -1 ? null : new Date(process.argv[beforeIndex + 1]);
+
+if (before && Number.isNaN(before.getTime())) {
+  console.error('--before needs a valid date, e.g. --before 2025-01-31');
+  process.exit(1);
+}
+
+await connectDB();
+
+try {
+  const query = {
+    $or: [
+      { isEmailVerified: { $exists: false } },
+      ...(before ? [{ isEmailVerified: false, createdAt: { $lt: before } }] : []),
+    ],
+  };
+
+  if (dryRun) {
+    const count = await User.countDocuments(query);
+    console.log(`${count} account(s) would be marked as verified (dry run, nothing changed)`);
+  } else {
+    const result = await User.updateMany(query, { $set: { isEmailVerified: true } });
+    console.log(`${result.modifiedCount} account(s) marked as verified`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,38 @@
+// Move bookmarks saved before collections existed into their owner's default
+// collection, creating it where needed.
+// Safe to run more than once: only bookmarks without a collection are moved.
+// Usage: npm run migrate-bookmark-collections [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Bookmark from '../models/Bookmark.js';
+import BookmarkCollection from '../models/BookmarkCollection.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+await connectDB();
+
+try {
+  const query = { bookmarkCollection: { $exists: false } };
+  const users = await Bookmark.find(query).distinct('user');
+
+  if (dryRun) {
+    const count = await Bookmark.countDocuments(query);
+    console.log(`${count} bookmark(s) of ${users.length} user(s) would be moved (dry run, nothing changed)`);
+  } else {
+    let moved = 0;
+    for (const userId of users) {
+      const defaultCollection = await BookmarkCollection.getDefault(userId);
+      const result = await Bookmark.updateMany(
+        { ...query, user: userId },
+        { $set: { bookmarkCollection: defaultCollection._id } }
+      );
+      moved += result.modifiedCount;
+    }
+    console.log(`${moved} bookmark(s) of ${users.length} user(s) moved into their default collection`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,38 @@
+// Move the students recorded in each job's old viewedBy array into the JobView
+// collection, so they still get deadline reminders, and drop the array.
+// Safe to run more than once: views that already exist are skipped.
+// Usage: npm run migrate-job-views [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Job from '../models/Job.js';
+import JobView from '../models/JobView.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+await connectDB();
+
+try {
+  // viewedBy is no longer in the schema, so go through the raw collection
+  const query = { viewedBy: { $exists: true } };
+  const jobs = await Job.collection.find(query, { projection: { viewedBy: 1 } }).toArray();
+  const views = jobs.flatMap(job =>
+    (job.viewedBy || []).map(user => ({ user, job: job._id }))
+  );
+
+  if (dryRun) {
+    console.log(`${views.length} view(s) from ${jobs.length} job(s) would be moved (dry run, nothing changed)`);
+  } else {
+    if (views.length) {
+      await JobView.bulkWrite(views.map(view => ({
+        updateOne: { filter: view, update: { $setOnInsert: view }, upsert: true },
+      })));
+    }
+    await Job.collection.updateMany(query, { $unset: { viewedBy: '' } });
+    console.log(`${views.length} view(s) from ${jobs.length} job(s) moved`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,20 @@
+// Detect and repair drift between bookmarks/applications and the arrays
+// denormalized from them. Usage: npm run reconcile [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { reconcileReferences } from '../utils/reconcile.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+await connectDB();
+
+try {
+  const report = await reconcileReferences({ dryRun });
+  console.log(dryRun ? 'Drift found (dry run, nothing changed):' : 'Repaired:');
+  console.table(report);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,35 @@
+// Rebuild the notes' full-text search index when its fields or weights have
+// changed. MongoDB allows one text index per collection and won't replace it
+// on its own, so the old index keeps serving searches until it is dropped.
+// Usage: npm run sync-note-indexes [-- --dry-run]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { getTextIndexStatus, rebuildTextIndex } from '../utils/noteIndexes.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+await connectDB();
+
+try {
+  const status = await getTextIndexStatus();
+
+  if (status.upToDate) {
+    console.log(`Text index ${status.name} is up to date`);
+  } else {
+    if (status.existing) {
+      console.log(`Dropping outdated text index ${status.existing.name} (${status.existing.weights})`);
+    }
+    console.log(`Building text index ${status.name} (${status.wanted})`);
+
+    if (dryRun) {
+      console.log('Dry run, nothing changed');
+    } else {
+      await rebuildTextIndex(status);
+    }
+  }
+} finally {
+  await mongoose.disconnect();
+}
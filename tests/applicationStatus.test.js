@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Application from '../models/Application.js';
+import { APPLICATION_STATUS, APPLICATION_TRANSITIONS } from '../utils/constants.js';
+
+const { APPLIED, SHORTLISTED, REJECTED, ACCEPTED, WITHDRAWN } = APPLICATION_STATUS;
+
+test('lists the moves out of every status', () => {
+  assert.deepEqual(
+    Object.keys(APPLICATION_TRANSITIONS).sort(),
+    Object.values(APPLICATION_STATUS).sort()
+  );
+});
+
+test('only moves to known statuses, never back to applied or to withdrawn', () => {
+  for (const targets of Object.values(APPLICATION_TRANSITIONS)) {
+    for (const target of targets) {
+      assert.ok(Object.values(APPLICATION_STATUS).includes(target));
+      assert.notEqual(target, APPLIED);
+      assert.notEqual(target, WITHDRAWN); // Only the applicant withdraws
+    }
+  }
+});
+
+test('canTransitionTo follows the transition table', () => {
+  const cases = [
+    [APPLIED, SHORTLISTED, true],
+    [APPLIED, ACCEPTED, true],
+    [SHORTLISTED, ACCEPTED, true],
+    [REJECTED, SHORTLISTED, true],
+    [ACCEPTED, REJECTED, true],
+    [SHORTLISTED, APPLIED, false],
+    [REJECTED, ACCEPTED, false],
+    [ACCEPTED, SHORTLISTED, false],
+    [APPLIED, APPLIED, false],
+    [WITHDRAWN, SHORTLISTED, false],
+  ];
+
+  for (const [from, to, expected] of cases) {
+    const application = new Application({ status: from });
+    assert.equal(application.canTransitionTo(to), expected, `${from} -> ${to}`);
+  }
+});
+
+test('setStatus records the change in the history', () => {
+  const application = new Application({ status: APPLIED });
+  application.setStatus(SHORTLISTED, undefined, 'Strong profile');
+
+  assert.equal(application.status, SHORTLISTED);
+  assert.deepEqual(
+    application.statusHistory.map(({ status, note }) => ({ status, note })).at(-1),
+    { status: SHORTLISTED, note: 'Strong profile' }
+  );
+});
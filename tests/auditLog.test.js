@@ -0,0 +1,100 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { getAuditLog } from '../controllers/adminController.js';
+import { AUDIT_ACTIONS } from '../utils/constants.js';
+
+const REJECTED = /cannot be modified or deleted/;
+
+const existingEntry = () => AuditLog.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  actor: new mongoose.Types.ObjectId(),
+  action: AUDIT_ACTIONS.USER_DELETE,
+  targetType: 'User',
+  createdAt: new Date(),
+});
+
+afterEach(() => mock.restoreAll());
+
+test('rejects saving changes to an existing entry', async () => {
+  const entry = existingEntry();
+  entry.action = AUDIT_ACTIONS.USER_ACTIVATE;
+
+  await assert.rejects(entry.save(), REJECTED);
+});
+
+test('rejects updating or deleting entries through queries', async () => {
+  await assert.rejects(AuditLog.updateOne({}, { action: AUDIT_ACTIONS.USER_ACTIVATE }), REJECTED);
+  await assert.rejects(AuditLog.updateMany({}, { action: AUDIT_ACTIONS.USER_ACTIVATE }), REJECTED);
+  await assert.rejects(AuditLog.deleteOne({}), REJECTED);
+  await assert.rejects(AuditLog.deleteMany({}), REJECTED);
+  await assert.rejects(AuditLog.findOneAndDelete({}), REJECTED);
+  await assert.rejects(AuditLog.findOneAndUpdate({}, { ip: '' }), REJECTED);
+});
+
+test('rejects deleting an entry document', async () => {
+  await assert.rejects(existingEntry().deleteOne(), REJECTED);
+});
+
+// Run getAuditLog with the given query string and return the filter it searched with
+const auditLogFilter = async (query) => {
+  const filters = [];
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: async () => [],
+  };
+  mock.method(AuditLog, 'find', (filter) => {
+    filters.push(filter);
+    return chain;
+  });
+  mock.method(AuditLog, 'countDocuments', async () => 0);
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await getAuditLog({ query }, res);
+
+  assert.equal(res.statusCode, 200);
+  return filters[0];
+};
+
+test('lists every entry without filters', async () => {
+  assert.deepEqual(await auditLogFilter({}), {});
+});
+
+test('filters by actor, action and target', async () => {
+  const actor = new mongoose.Types.ObjectId().toString();
+  const targetId = new mongoose.Types.ObjectId().toString();
+
+  assert.deepEqual(
+    await auditLogFilter({
+      actor,
+      action: AUDIT_ACTIONS.NOTE_REJECT,
+      targetType: 'Note',
+      targetId,
+    }),
+    { actor, action: AUDIT_ACTIONS.NOTE_REJECT, targetType: 'Note', targetId }
+  );
+});
+
+test('filters by date range, with either end optional', async () => {
+  assert.deepEqual(await auditLogFilter({ from: '2025-01-01', to: '2025-01-31' }), {
+    createdAt: { $gte: new Date('2025-01-01'), $lte: new Date('2025-01-31') },
+  });
+  assert.deepEqual(await auditLogFilter({ from: '2025-01-01' }), {
+    createdAt: { $gte: new Date('2025-01-01') },
+  });
+  assert.deepEqual(await auditLogFilter({ to: '2025-01-31' }), {
+    createdAt: { $lte: new Date('2025-01-31') },
+  });
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { toCsvRow } from '../utils/csv.js';
+
+test('quotes every cell and ends the row with CRLF', () => {
+  assert.equal(toCsvRow(['a', 1, true]), '"a","1","true"\r\n');
+});
+
+test('leaves missing values empty', () => {
+  assert.equal(toCsvRow([null, undefined, '']), ',,""\r\n');
+});
+
+test('doubles embedded quotes and keeps commas and newlines inside the cell', () => {
+  assert.equal(toCsvRow(['say "hi", then\nleave']), '"say ""hi"", then\nleave"\r\n');
+});
+
+test('writes dates as ISO strings', () => {
+  assert.equal(toCsvRow([new Date('2025-01-31T10:00:00Z')]), '"2025-01-31T10:00:00.000Z"\r\n');
+});
+
+test('writes ObjectIds as hex and other objects as JSON', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.equal(toCsvRow([id, { a: 1 }]), `"${id.toHexString()}","{""a"":1}"\r\n`);
+});
+
+test('neutralises cells a spreadsheet would run as formulas', () => {
+  for (const formula of ['=SUM(A1)', '+1', '-1', '@cmd', '\tx', '\rx']) {
+    assert.equal(toCsvRow([formula]), `"'${formula}"\r\n`);
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { fileUrlFor, verifyFileSignature } = await import('../utils/fileUrl.js');
+
+const ref = { provider: 'local', key: 'notes/file.pdf', mimetype: 'application/pdf' };
+
+const signatureOf = (url) => new URL(url, 'http://localhost').searchParams.get('signature');
+
+test('signs a short-lived URL for local files', () => {
+  const url = fileUrlFor(ref, 'http://localhost:5000/uploads/notes/file.pdf');
+
+  assert.match(url, /^\/api\/files\?signature=/);
+  assert.deepEqual(verifyFileSignature(signatureOf(url)), ref);
+});
+
+test('keeps the stored URL of other drivers', () => {
+  const storedUrl = 'https://cdn.example.com/notes/file.pdf';
+
+  assert.equal(fileUrlFor({ ...ref, provider: 's3' }, storedUrl), storedUrl);
+  assert.equal(fileUrlFor({ provider: 'local' }, storedUrl), storedUrl);
+});
+
+test('refuses tokens issued for another purpose', () => {
+  const token = jwt.sign({ sub: ref.key, purpose: 'resume' }, process.env.JWT_SECRET);
+  const sessionToken = jwt.sign({ id: 'user' }, process.env.JWT_SECRET);
+
+  assert.equal(verifyFileSignature(token), null);
+  assert.equal(verifyFileSignature(sessionToken), null);
+});
+
+test('refuses expired signatures', () => {
+  const token = jwt.sign(
+    { sub: ref.key, purpose: 'file', exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+
+  assert.equal(verifyFileSignature(token), null);
+});
+
+test('refuses signatures made with another secret or tampered with', () => {
+  const forged = jwt.sign({ sub: ref.key, purpose: 'file' }, 'another-secret');
+  const signature = signatureOf(fileUrlFor(ref));
+  const tampered = `${signature.slice(0, -2)}${signature.endsWith('AA') ? 'BB' : 'AA'}`;
+
+  assert.equal(verifyFileSignature(forged), null);
+  assert.equal(verifyFileSignature(tampered), null);
+  assert.equal(verifyFileSignature(undefined), null);
+});
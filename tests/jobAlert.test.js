@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JobAlert from '../models/JobAlert.js';
+
+const job = {
+  type: 'Internship',
+  locationType: 'Remote',
+  location: 'Bengaluru, India',
+  skills: ['React', 'Node.js'],
+  stipend: { amount: 20000 },
+};
+
+const matches = (criteria, target = job) => new JobAlert({ criteria }).matches(target);
+
+test('matches on type and location type', () => {
+  assert.equal(matches({ type: 'Internship', locationType: 'Remote' }), true);
+  assert.equal(matches({ type: 'Job' }), false);
+  assert.equal(matches({ locationType: 'Hybrid' }), false);
+});
+
+test('matches part of the location, ignoring case', () => {
+  assert.equal(matches({ location: 'bengaluru' }), true);
+  assert.equal(matches({ location: 'Pune' }), false);
+});
+
+test('needs any one of the skills, ignoring case', () => {
+  assert.equal(matches({ skills: ['python', 'react'] }), true);
+  assert.equal(matches({ skills: ['python'] }), false);
+});
+
+test('treats a job without a stipend as paying nothing', () => {
+  assert.equal(matches({ minStipend: 20000 }), true);
+  assert.equal(matches({ minStipend: 25000 }), false);
+  assert.equal(matches({ minStipend: 0 }, { ...job, stipend: undefined }), true);
+  assert.equal(matches({ minStipend: 1 }, { ...job, stipend: undefined }), false);
+});
+
+test('needs every criterion to match', () => {
+  assert.equal(matches({ type: 'Internship', skills: ['React'], minStipend: 10000 }), true);
+  assert.equal(matches({ type: 'Internship', skills: ['React'], minStipend: 30000 }), false);
+});
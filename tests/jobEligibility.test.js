@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../models/Job.js';
+
+const jobWith = (eligibility) => new Job({ eligibility });
+
+test('is open to everyone without eligibility rules', () => {
+  assert.deepEqual(jobWith(undefined).checkEligibility({}), { eligible: true, reasons: [] });
+});
+
+test('checks the branch', () => {
+  const job = jobWith({ branches: ['CSE', 'IT'] });
+
+  assert.equal(job.checkEligibility({ branch: 'IT' }).eligible, true);
+  assert.deepEqual(job.checkEligibility({ branch: 'ECE' }).reasons, ['Open to CSE, IT students only']);
+});
+
+test('checks the CGPA, asking for it when missing', () => {
+  const job = jobWith({ minCGPA: 7.5 });
+
+  assert.equal(job.checkEligibility({ cgpa: 7.5 }).eligible, true);
+  assert.deepEqual(job.checkEligibility({ cgpa: 7 }).reasons, [
+    'Requires a CGPA of at least 7.5 (yours is 7)',
+  ]);
+  assert.deepEqual(job.checkEligibility({}).reasons, [
+    'Requires a CGPA of at least 7.5; add your CGPA to your profile',
+  ]);
+});
+
+test('checks the graduation year, asking for it when missing', () => {
+  const job = jobWith({ graduationYear: [2025, 2026] });
+
+  assert.equal(job.checkEligibility({ graduationYear: 2026 }).eligible, true);
+  assert.match(job.checkEligibility({ graduationYear: 2024 }).reasons[0], /yours is 2024/);
+  assert.match(job.checkEligibility({}).reasons[0], /add your graduation year/);
+});
+
+test('reports every unmet rule', () => {
+  const job = jobWith({ branches: ['CSE'], minCGPA: 8, graduationYear: [2025] });
+  const result = job.checkEligibility({ branch: 'ME', cgpa: 6, graduationYear: 2024 });
+
+  assert.equal(result.eligible, false);
+  assert.equal(result.reasons.length, 3);
+});
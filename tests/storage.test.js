@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The driver is picked from the environment when the module loads
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = rootDir;
+
+const { getStorage, storeFile, readFile, removeFile } = await import('../utils/storage/index.js');
+
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+test('uses the driver named by STORAGE_DRIVER', () => {
+  const storage = getStorage();
+
+  assert.equal(storage.name, 'local');
+  assert.equal(storage.rootDir, rootDir);
+  assert.equal(getStorage('local'), storage);
+});
+
+test('rejects an unknown driver', () => {
+  assert.throws(() => getStorage('ftp'), /Unknown storage driver: ftp/);
+});
+
+test('stores, streams and deletes a file', async () => {
+  const ref = await storeFile(Buffer.from('hello'), {
+    folder: 'notes',
+    mimetype: 'application/pdf',
+  });
+
+  assert.equal(ref.provider, 'local');
+  assert.match(ref.key, /^notes\/\d+-[0-9a-f]{16}\.pdf$/);
+  assert.ok(fs.existsSync(path.join(rootDir, ref.key)));
+  assert.equal((await readFile(ref)).toString(), 'hello');
+
+  await removeFile(ref);
+
+  assert.equal(fs.existsSync(path.join(rootDir, ref.key)), false);
+});
+
+test('fails to stream a missing key', async () => {
+  await assert.rejects(readFile({ provider: 'local', key: 'notes/missing.pdf' }), { code: 'ENOENT' });
+});
+
+test('ignores deleting a missing key', async () => {
+  await getStorage().delete('notes/missing.pdf');
+});
+
+test('refuses keys outside the storage directory', async () => {
+  await assert.rejects(getStorage().put(Buffer.from('x'), { key: '../escape.txt' }), /Invalid storage key/);
+  await assert.rejects(getStorage().stream('../../etc/passwd'), /Invalid storage key/);
+});
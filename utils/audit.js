@@ -0,0 +1,31 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Copy the given fields of a document into a plain object for a before/after snapshot
+export const snapshot = (doc, fields) =>
+  Object.fromEntries(fields.map(field => [field, doc.get ? doc.get(field) : doc[field]]));
+
+export const USER_SNAPSHOT_FIELDS = ['name', 'email', 'role', 'branch', 'isActive', 'company', 'recruiterStatus'];
+export const NOTE_SNAPSHOT_FIELDS = ['title', 'subject', 'semester', 'branch', 'status', 'rejectionReason', 'uploadedBy'];
+export const NOTE_VERSION_SNAPSHOT_FIELDS = ['currentVersion', 'fileHash', 'status'];
+export const JOB_SNAPSHOT_FIELDS = ['title', 'company', 'companyId', 'status', 'publishAt', 'applicationDeadline', 'isVerified', 'postedBy'];
+
+// Record an admin or moderation action taken by the request's user.
+// Never rejects: a failed entry is logged rather than failing the action behind it.
+export const audit = async (req, { action, targetType, targetId, before, after }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
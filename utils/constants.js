@@ -26,13 +26,116 @@ export const ALLOWED_FILE_TYPES = Object.values(FILE_TYPES);
 
 export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
+export const MAX_RESUME_SIZE = 5 * 1024 * 1024; // 5MB
+
 export const USER_ROLES = {
   STUDENT: 'student',
+  RECRUITER: 'recruiter',
+  MODERATOR: 'moderator',
   ADMIN: 'admin',
 };
 
+export const PERMISSIONS = {
+  STATS_VIEW: 'stats:view',
+  USERS_MANAGE: 'users:manage',
+  ROLES_ASSIGN: 'roles:assign',
+  NOTES_MODERATE: 'notes:moderate',
+  NOTES_MANAGE: 'notes:manage', // Edit or delete anyone's notes
+  COMMENTS_MODERATE: 'comments:moderate',
+  JOBS_POST: 'jobs:post',
+  JOBS_MANAGE: 'jobs:manage', // Edit any job and see every applicant
+  COMPANIES_VERIFY: 'companies:verify',
+  MAINTENANCE_RUN: 'maintenance:run',
+  AUDIT_VIEW: 'audit:view',
+};
+
+export const ROLE_PERMISSIONS = {
+  [USER_ROLES.STUDENT]: [],
+  [USER_ROLES.RECRUITER]: [PERMISSIONS.JOBS_POST], // Only once approved
+  [USER_ROLES.MODERATOR]: [
+    PERMISSIONS.STATS_VIEW,
+    PERMISSIONS.NOTES_MODERATE,
+    PERMISSIONS.NOTES_MANAGE,
+    PERMISSIONS.COMMENTS_MODERATE,
+  ],
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+export const RECRUITER_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
 export const NOTE_STATUS = {
   PENDING: 'pending',
   APPROVED: 'approved',
   REJECTED: 'rejected',
-};
\ No newline at end of file
+};
+
+export const NOTIFICATION_TYPES = {
+  NOTE_BOOKMARKED: 'noteBookmarked',
+  NOTE_APPROVED: 'noteApproved',
+  NOTE_REJECTED: 'noteRejected',
+  NOTE_COMMENT: 'noteComment',
+  APPLICATION_STATUS: 'applicationStatus',
+  NEW_JOB: 'newJob',
+  JOB_DEADLINE: 'jobDeadline',
+  JOB_ALERT: 'jobAlert',
+};
+
+
+export const REALTIME_EVENTS = {
+  NOTIFICATION: 'notification',
+  NOTE_PUBLISHED: 'note.published',
+  MODERATION_QUEUED: 'moderation.queued',
+  MODERATION_RESOLVED: 'moderation.resolved',
+  APPLICATION_STATUS: 'application.status',
+};
+
+
+export const APPLICATION_STATUS = {
+  APPLIED: 'applied',
+  SHORTLISTED: 'shortlisted',
+  REJECTED: 'rejected',
+  ACCEPTED: 'accepted',
+  WITHDRAWN: 'withdrawn',
+};
+
+// Statuses an admin may move an application to from each status
+export const APPLICATION_TRANSITIONS = {
+  applied: ['shortlisted', 'rejected', 'accepted'],
+  shortlisted: ['accepted', 'rejected'],
+  rejected: ['shortlisted'], // Reconsidered
+  accepted: ['rejected'], // Offer rescinded
+  withdrawn: [],
+};
+
+// Statuses an applicant may still withdraw from
+export const WITHDRAWABLE_STATUSES = ['applied', 'shortlisted'];
+
+export const AUDIT_ACTIONS = {
+  USER_ACTIVATE: 'user.activate',
+  USER_DEACTIVATE: 'user.deactivate',
+  USER_DELETE: 'user.delete',
+  USER_ROLE_ASSIGN: 'user.role.assign',
+  RECRUITER_APPROVE: 'recruiter.approve',
+  RECRUITER_REJECT: 'recruiter.reject',
+  COMPANY_VERIFY: 'company.verify',
+  COMPANY_UNVERIFY: 'company.unverify',
+  NOTE_APPROVE: 'note.approve',
+  NOTE_REJECT: 'note.reject',
+  NOTE_UPDATE: 'note.update',
+  NOTE_DELETE: 'note.delete',
+  NOTE_MERGE: 'note.merge',
+  NOTE_VERSION_UPLOAD: 'note.version.upload',
+  NOTE_VERSION_ROLLBACK: 'note.version.rollback',
+  JOB_UPDATE: 'job.update',
+  JOB_SCHEDULE: 'job.schedule',
+  JOB_DELETE: 'job.delete',
+  APPLICATION_STATUS: 'application.status',
+  COMMENT_DELETE: 'comment.delete',
+  DATA_RECONCILE: 'maintenance.reconcile',
+};
+
+export const AUDIT_TARGETS = ['User', 'Company', 'Note', 'Comment', 'Job', 'Application', 'System'];
@@ -0,0 +1,20 @@
+// Format a value as a quoted CSV cell. Cells that a spreadsheet would run as a
+// formula are prefixed with a quote so exported data can't execute.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value.toHexString) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Format a list of values as one CSV line
+export const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
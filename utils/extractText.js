@@ -0,0 +1,56 @@
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import { PDFParse } from 'pdf-parse';
+import { FILE_TYPES } from './constants.js';
+
+// Upper bound on stored text so large documents stay within MongoDB's document limits
+export const MAX_CONTENT_LENGTH = 100000;
+
+const normalizeWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+const extractPdf = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getText();
+    return {
+      text: result.pages.map(page => page.text).join('\n'),
+      pageCount: result.total,
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const extractDocx = async (buffer) => {
+  const { value } = await mammoth.extractRawText({ buffer });
+
+  // Word records the page count in the document properties; it is absent for
+  // files produced by some other editors
+  const zip = await JSZip.loadAsync(buffer);
+  const appXml = await zip.file('docProps/app.xml')?.async('string');
+  const pages = appXml?.match(/<Pages>(\d+)<\/Pages>/);
+
+  return {
+    text: value,
+    pageCount: pages ? parseInt(pages[1]) : undefined,
+  };
+};
+
+const extractors = {
+  [FILE_TYPES.PDF]: extractPdf,
+  [FILE_TYPES.DOCX]: extractDocx,
+};
+
+// Check if text can be extracted from a file type
+export const canExtractText = (mimetype) => Boolean(extractors[mimetype]);
+
+// Extract the plain text and page count of a document
+export const extractText = async (buffer, mimetype) => {
+  const { text, pageCount } = await extractors[mimetype](buffer);
+
+  return {
+    text: normalizeWhitespace(text).slice(0, MAX_CONTENT_LENGTH),
+    pageCount,
+  };
+};
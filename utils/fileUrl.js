@@ -0,0 +1,42 @@
+import jwt from 'jsonwebtoken';
+import { streamFile } from './storage/index.js';
+
+const FILE_URL_PURPOSE = 'file';
+const FILE_URL_EXPIRE = process.env.FILE_URL_EXPIRE || '10m';
+
+// Locally stored files are never served publicly. Whoever may see a file gets
+// a short-lived URL for it instead; other drivers keep their own URLs.
+export const fileUrlFor = (ref, storedUrl) => {
+  if (ref.provider !== 'local' || !ref.key) return storedUrl;
+
+  const signature = jwt.sign(
+    { sub: ref.key, type: ref.mimetype, purpose: FILE_URL_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: FILE_URL_EXPIRE }
+  );
+
+  return `/api/files?signature=${signature}`;
+};
+
+// The local file a signature from fileUrlFor grants access to, or null
+export const verifyFileSignature = (signature) => {
+  try {
+    const decoded = jwt.verify(signature, process.env.JWT_SECRET);
+    if (decoded.purpose !== FILE_URL_PURPOSE) return null;
+    return { provider: 'local', key: decoded.sub, mimetype: decoded.type };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stream a stored file to the client
+export const sendFile = async (res, ref) => {
+  const stream = await streamFile(ref);
+
+  if (ref.mimetype) res.setHeader('Content-Type', ref.mimetype);
+  res.setHeader('Cache-Control', 'private, max-age=600');
+
+  // Headers are already sent by the time a read fails, so just cut the response
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+};
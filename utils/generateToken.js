@@ -1,9 +1,14 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
-  });
+// Short-lived access token; `tv` must match the user's current tokenVersion
+const generateToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    }
+  );
 };
 
-export default generateToken;
\ No newline at end of file
+export default generateToken;
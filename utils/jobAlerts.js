@@ -0,0 +1,111 @@
+import Job from '../models/Job.js';
+import JobAlert from '../models/JobAlert.js';
+import sendMail from './mailer/index.js';
+import { jobAlertDigestEmail } from './mailer/templates.js';
+import { notify, notifyNewJob } from './notify.js';
+import { NOTIFICATION_TYPES } from './constants.js';
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const alertName = (alert) => alert.name || 'your job alert';
+
+// Notify or queue for the daily digest every alert matching a newly live job.
+// Owners the job isn't open to are skipped. Never rejects.
+const matchJobAlerts = async (job) => {
+  try {
+    // Coarse filter here; JobAlert#matches decides
+    const alerts = await JobAlert.find({
+      isActive: true,
+      'criteria.type': { $in: [null, job.type] },
+      'criteria.locationType': { $in: [null, job.locationType] },
+    }).populate('user', 'branch cgpa graduationYear isActive');
+
+    const notifiedUsers = new Set();
+
+    for (const alert of alerts) {
+      if (!alert.user?.isActive || !alert.matches(job)) continue;
+      if (!job.checkEligibility(alert.user).eligible) continue;
+
+      if (alert.frequency === 'daily') {
+        await JobAlert.updateOne({ _id: alert._id }, { $addToSet: { pendingJobs: job._id } });
+        continue;
+      }
+
+      // One notification per user even when several of their alerts match
+      const userId = alert.user._id.toString();
+      if (notifiedUsers.has(userId)) continue;
+      notifiedUsers.add(userId);
+
+      await notify({ _id: alert.user._id }, {
+        type: NOTIFICATION_TYPES.JOB_ALERT,
+        title: `New match for ${alertName(alert)}`,
+        message: `${job.title} at ${job.company}`,
+        link: `/jobs/${job._id}`,
+        job: job._id,
+      });
+    }
+  } catch (error) {
+    console.error(`Job alert error for job ${job._id}:`, error);
+  }
+};
+
+// Announce a job that just went live: to its branches and to matching alerts
+export const announceNewJob = async (job) => {
+  await notifyNewJob(job);
+  await matchJobAlerts(job);
+};
+
+// Send each daily alert's collected matches (still open ones only) by email
+// and as a notification, at most once a day per alert
+export const sendJobAlertDigests = async (now = new Date()) => {
+  const filter = {
+    frequency: 'daily',
+    isActive: true,
+    'pendingJobs.0': { $exists: true },
+    $or: [
+      { lastDigestAt: { $exists: false } },
+      { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } },
+    ],
+  };
+
+  const due = await JobAlert.find(filter).select('_id');
+
+  let sent = 0;
+  for (const { _id } of due) {
+    // Claimed atomically (returning the matches collected so far) so each is sent once
+    const alert = await JobAlert.findOneAndUpdate(
+      { ...filter, _id },
+      { $set: { pendingJobs: [], lastDigestAt: now } }
+    ).populate('user', 'name email isActive');
+
+    if (!alert || !alert.user?.isActive) continue;
+
+    const jobs = await Job.find({
+      _id: { $in: alert.pendingJobs },
+      status: 'active',
+      applicationDeadline: { $gte: now },
+    }).sort({ applicationDeadline: 1 });
+
+    if (jobs.length === 0) continue;
+
+    try {
+      await sendMail({
+        to: alert.user.email,
+        ...jobAlertDigestEmail({ name: alert.user.name, alertName: alertName(alert), jobs }),
+      });
+    } catch (error) {
+      console.error(`Job alert digest email error for alert ${alert._id}:`, error);
+    }
+
+    await notify({ _id: alert.user._id }, {
+      type: NOTIFICATION_TYPES.JOB_ALERT,
+      title: `${jobs.length} new posting(s) for ${alertName(alert)}`,
+      message: jobs.map(job => `${job.title} at ${job.company}`).join(', '),
+      link: '/jobs/alerts',
+    });
+
+    sent += 1;
+  }
+
+  return sent;
+};
@@ -0,0 +1,106 @@
+import Job from '../models/Job.js';
+import SavedJob from '../models/SavedJob.js';
+import JobView from '../models/JobView.js';
+import { notifyJobDeadline } from './notify.js';
+import { announceNewJob, sendJobAlertDigests } from './jobAlerts.js';
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.JOB_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const REMINDER_HOURS = parseInt(process.env.JOB_REMINDER_HOURS) || 48;
+
+// Put scheduled drafts live. Drafts whose deadline passed while waiting stay drafts.
+const publishScheduledJobs = async (now) => {
+  const due = await Job.find({
+    status: 'draft',
+    publishAt: { $lte: now },
+    applicationDeadline: { $gte: now },
+  }).select('_id');
+
+  let published = 0;
+  for (const { _id } of due) {
+    // Claimed atomically so a job is only announced once, even with several schedulers
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'draft', publishAt: { $lte: now } },
+      { $set: { status: 'active' }, $unset: { publishAt: '' } },
+      { new: true }
+    );
+
+    if (job) {
+      await announceNewJob(job);
+      published += 1;
+    }
+  }
+
+  return published;
+};
+
+// Close active jobs whose application deadline has passed
+const closeExpiredJobs = async (now) => {
+  const result = await Job.updateMany(
+    { status: 'active', applicationDeadline: { $lt: now } },
+    { $set: { status: 'closed', closedAt: now } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Remind viewers and savers who haven't applied once a job's deadline is near
+const sendDeadlineReminders = async (now) => {
+  const soon = new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000);
+  const filter = {
+    status: 'active',
+    applicationDeadline: { $gte: now, $lte: soon },
+    reminderSentAt: { $exists: false },
+  };
+
+  const due = await Job.find(filter).select('_id');
+
+  let reminded = 0;
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { ...filter, _id },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    );
+
+    if (job) {
+      const viewedBy = await JobView.find({ job: job._id }).distinct('user');
+      const savedBy = await SavedJob.find({ job: job._id }).distinct('user');
+      await notifyJobDeadline(job, [...viewedBy, ...savedBy]);
+      reminded += 1;
+    }
+  }
+
+  return reminded;
+};
+
+// Run every lifecycle task once and report what changed
+export const runJobLifecycle = async (now = new Date()) => ({
+  published: await publishScheduledJobs(now),
+  closed: await closeExpiredJobs(now),
+  reminded: await sendDeadlineReminders(now),
+  digests: await sendJobAlertDigests(now),
+});
+
+// Run the lifecycle tasks (and job alert digests) periodically in this process (skipped while a run is
+// still going). Set JOB_SCHEDULER_ENABLED=false on instances that shouldn't.
+export const startJobScheduler = () => {
+  if (process.env.JOB_SCHEDULER_ENABLED === 'false') return;
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runJobLifecycle();
+    } catch (error) {
+      console.error('Job scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the scheduler
+  return timer;
+};
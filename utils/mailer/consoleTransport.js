@@ -0,0 +1,18 @@
+// Prints emails to the server log instead of sending them (local development)
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(`
+    ----- Email -----
+    From: ${from}
+    To: ${to}
+    Subject: ${subject}
+
+    ${text}
+    -----------------
+    `);
+  },
+});
+
+export default createConsoleTransport;
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+
+// Writes each email as a JSON file so local tooling can read it back
+const createFileTransport = () => {
+  const outputDir = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(outputDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+};
+
+export default createFileTransport;
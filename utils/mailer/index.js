@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import createConsoleTransport from './consoleTransport.js';
+import createFileTransport from './fileTransport.js';
+import createSmtpTransport from './smtpTransport.js';
+
+dotenv.config();  // make sure .env is loaded
+
+// Every transport implements send({ from, to, subject, text, html })
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'SmartNotesX <no-reply@smartnotesx.app>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default sendMail;
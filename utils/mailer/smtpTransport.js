@@ -0,0 +1,22 @@
+import nodemailer from 'nodemailer';
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+export default createSmtpTransport;
@@ -0,0 +1,53 @@
+const clientUrl = () =>
+  (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+export const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = `${clientUrl()}/reset-password/${token}`;
+
+  return {
+    subject: 'Reset your SmartNotesX password',
+    text: `Hi ${name},
+
+We received a request to reset your SmartNotesX password. Use the link below to choose a new one:
+
+${link}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.`,
+  };
+};
+
+export const passwordChangedEmail = ({ name }) => ({
+  subject: 'Your SmartNotesX password was changed',
+  text: `Hi ${name},
+
+Your SmartNotesX password was just changed and all other sessions were signed out. If this wasn't you, reset your password immediately.`,
+});
+
+export const emailVerificationEmail = ({ name, token, expiresInHours }) => {
+  const link = `${clientUrl()}/verify-email/${token}`;
+
+  return {
+    subject: 'Verify your SmartNotesX email',
+    text: `Hi ${name},
+
+Welcome to SmartNotesX! Please confirm your email address using the link below:
+
+${link}
+
+This link expires in ${expiresInHours} hours.`,
+  };
+};
+
+export const jobAlertDigestEmail = ({ name, alertName, jobs }) => ({
+  subject: `${jobs.length} new posting(s) for ${alertName}`,
+  text: `Hi ${name},
+
+These postings matched ${alertName} since your last digest:
+
+${jobs
+  .map(job => `- ${job.title} at ${job.company} (${job.location}), apply by ${job.applicationDeadline.toDateString()}
+  ${clientUrl()}/jobs/${job._id}`)
+  .join('\n')}
+
+You can change or turn off this alert from your job alerts page.`,
+});
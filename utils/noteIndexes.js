@@ -0,0 +1,49 @@
+import Note from '../models/Note.js';
+
+// Field weights of a text index, as a comparable string
+const describeWeights = (weights) =>
+  JSON.stringify(Object.entries(weights).sort(([a], [b]) => a.localeCompare(b)));
+
+// Compare the notes' text index in the database with the one the schema
+// defines. MongoDB won't replace an existing text index by itself, so a
+// changed definition (e.g. a new field such as `content`) never gets built.
+export const getTextIndexStatus = async () => {
+  const [fields, options] = Note.schema.indexes().find(([keys]) =>
+    Object.values(keys).includes('text')
+  );
+  const wanted = describeWeights(
+    Object.fromEntries(Object.keys(fields).map(field => [field, options.weights?.[field] ?? 1]))
+  );
+
+  const existing = (await Note.collection.indexes()).find(index => index.key._fts === 'text');
+
+  return {
+    name: options.name,
+    wanted,
+    existing: existing && { name: existing.name, weights: describeWeights(existing.weights) },
+    upToDate: Boolean(
+      existing && existing.name === options.name && describeWeights(existing.weights) === wanted
+    ),
+  };
+};
+
+// Rebuild the text index from the schema, dropping the outdated one first
+export const rebuildTextIndex = async ({ existing }) => {
+  if (existing) await Note.collection.dropIndex(existing.name);
+  await Note.createIndexes();
+};
+
+// Log a warning at startup when search is running on an outdated text index
+export const warnIfTextIndexOutdated = async () => {
+  try {
+    const status = await getTextIndexStatus();
+    if (status.existing && !status.upToDate) {
+      console.warn(
+        `⚠️  Note text index ${status.existing.name} is outdated; ` +
+          'run `npm run sync-note-indexes` to rebuild it'
+      );
+    }
+  } catch (error) {
+    console.error('Text index check error:', error);
+  }
+};
@@ -0,0 +1,69 @@
+import Note from '../models/Note.js';
+import { canExtractText, extractText } from './extractText.js';
+import { generateThumbnail, THUMBNAIL_MIMETYPE } from './thumbnail.js';
+import { storeFile, removeFile } from './storage/index.js';
+
+// Initial content status for a newly uploaded file
+export const getInitialContentStatus = (mimetype) =>
+  canExtractText(mimetype) ? 'pending' : 'unsupported';
+
+// Extract a note's document text and store it for search
+const processNoteContent = async (noteId, buffer, mimetype) => {
+  if (!canExtractText(mimetype)) return;
+
+  try {
+    const { text, pageCount } = await extractText(buffer, mimetype);
+
+    await Note.findByIdAndUpdate(noteId, {
+      $set: {
+        content: text,
+        pageCount,
+        contentStatus: 'processed',
+      },
+    });
+  } catch (error) {
+    console.error(`Text extraction error for note ${noteId}:`, error);
+    await Note.findByIdAndUpdate(noteId, {
+      $set: { contentStatus: 'failed' },
+    });
+  }
+};
+
+// Generate a note's preview image, replacing any previous one
+const processNoteThumbnail = async (noteId, buffer, mimetype) => {
+  try {
+    const thumbnail = await generateThumbnail(buffer, mimetype);
+    const stored = await storeFile(thumbnail, {
+      folder: 'study-hub-thumbnails',
+      mimetype: THUMBNAIL_MIMETYPE,
+    });
+
+    const previous = await Note.findByIdAndUpdate(noteId, {
+      $set: {
+        thumbnailUrl: stored.url,
+        thumbnailKey: stored.key,
+        thumbnailProvider: stored.provider,
+      },
+    });
+
+    // The note was deleted while the thumbnail was being generated
+    if (!previous) {
+      await removeFile({ ...stored, mimetype: THUMBNAIL_MIMETYPE });
+    } else {
+      await removeFile(previous.getThumbnailRef());
+    }
+  } catch (error) {
+    console.error(`Thumbnail generation error for note ${noteId}:`, error);
+  }
+};
+
+// Run the background processing for a newly uploaded note file.
+// Never rejects: failures are logged and recorded on the note instead.
+export const processNoteFile = async (noteId, buffer, mimetype) => {
+  await Promise.all([
+    processNoteContent(noteId, buffer, mimetype),
+    processNoteThumbnail(noteId, buffer, mimetype),
+  ]).catch((error) => {
+    console.error(`Processing error for note ${noteId}:`, error);
+  });
+};
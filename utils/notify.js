@@ -0,0 +1,72 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { USER_ROLES, NOTIFICATION_TYPES, REALTIME_EVENTS } from './constants.js';
+import { publish, channels } from './pubsub/index.js';
+
+// Create a notification for every active user matching `recipients` (a User
+// filter) who hasn't turned the notification's type off in their preferences.
+// Never rejects: a failed notification must not fail the action behind it.
+export const notify = async (recipients, notification) => {
+  try {
+    const users = await User.find({
+      ...recipients,
+      isActive: true,
+      [`notificationPreferences.${notification.type}`]: { $ne: false },
+    }).select('_id');
+
+    if (users.length === 0) return;
+
+    const created = await Notification.insertMany(
+      users.map(user => ({ ...notification, recipient: user._id }))
+    );
+
+    for (const createdNotification of created) {
+      await publish(
+        channels.user(createdNotification.recipient),
+        REALTIME_EVENTS.NOTIFICATION,
+        createdNotification.toJSON()
+      );
+    }
+  } catch (error) {
+    console.error(`Notification error (${notification.type}):`, error);
+  }
+};
+
+// Let a note's uploader know someone else bookmarked it
+export const notifyNoteBookmarked = (note, user) => {
+  if (note.uploadedBy.toString() === user._id.toString()) return;
+
+  return notify({ _id: note.uploadedBy }, {
+    type: NOTIFICATION_TYPES.NOTE_BOOKMARKED,
+    title: 'Your note was bookmarked',
+    message: `${user.name} bookmarked "${note.title}"`,
+    link: `/notes/${note._id}`,
+    note: note._id,
+  });
+};
+
+// Let students in the job's eligible branches (all of them when none are listed) know it's open
+export const notifyNewJob = (job) => {
+  const recipients = { role: USER_ROLES.STUDENT };
+  if (job.eligibility?.branches?.length) {
+    recipients.branch = { $in: job.eligibility.branches };
+  }
+
+  return notify(recipients, {
+    type: NOTIFICATION_TYPES.NEW_JOB,
+    title: `New ${job.type.toLowerCase()}: ${job.title}`,
+    message: `${job.company} is accepting applications until ${job.applicationDeadline.toDateString()}`,
+    link: `/jobs/${job._id}`,
+    job: job._id,
+  });
+};
+
+// Remind students who viewed or saved a job but haven't applied that its deadline is close
+export const notifyJobDeadline = (job, interestedUserIds) =>
+  notify({ _id: { $in: interestedUserIds, $nin: job.applicants } }, {
+    type: NOTIFICATION_TYPES.JOB_DEADLINE,
+    title: `Closing soon: ${job.title}`,
+    message: `Applications for ${job.title} at ${job.company} close on ${job.applicationDeadline.toDateString()}`,
+    link: `/jobs/${job._id}`,
+    job: job._id,
+  });
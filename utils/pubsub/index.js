@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+import createMemoryBroker from './memoryBroker.js';
+
+dotenv.config();  // make sure .env is loaded
+
+// Every broker implements publish(channel, message) and
+// subscribe(channel, handler), which resolves to an unsubscribe function.
+// Messages are plain JSON-serialisable objects, so an external broker
+// (Redis, NATS, ...) can be registered here without touching callers.
+const brokers = {
+  memory: createMemoryBroker,
+};
+
+let broker;
+
+const getBroker = () => {
+  if (!broker) {
+    const name = process.env.PUBSUB_BROKER || 'memory';
+    if (!brokers[name]) {
+      throw new Error(`Unknown pub/sub broker: ${name}`);
+    }
+    broker = brokers[name]();
+  }
+  return broker;
+};
+
+// Channel names
+export const channels = {
+  user: (userId) => `user:${userId}`,
+  branch: (branch) => `branch:${branch}`,
+  admins: () => 'admins',
+};
+
+// Publish an event to a channel. Never rejects: a lost real-time event must
+// not fail the action behind it, clients resync over the REST API.
+export const publish = async (channel, type, data) => {
+  try {
+    await getBroker().publish(channel, { type, data, sentAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Publish error (${channel} ${type}):`, error);
+  }
+};
+
+// Subscribe to a channel; resolves to an unsubscribe function
+export const subscribe = (channel, handler) => getBroker().subscribe(channel, handler);
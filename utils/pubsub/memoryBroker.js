@@ -0,0 +1,24 @@
+import { EventEmitter } from 'events';
+
+// In-process broker: only reaches subscribers in this Node process
+const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // One listener per open connection and channel
+
+  return {
+    name: 'memory',
+
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => {
+        emitter.off(channel, handler);
+      };
+    },
+  };
+};
+
+export default createMemoryBroker;
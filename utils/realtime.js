@@ -0,0 +1,37 @@
+import { publish, channels } from './pubsub/index.js';
+import { NOTE_STATUS, REALTIME_EVENTS } from './constants.js';
+
+const noteSummary = (note) => ({
+  _id: note._id,
+  title: note.title,
+  subject: note.subject,
+  semester: note.semester,
+  branch: note.branch,
+  status: note.status,
+});
+
+// Announce a note that just entered the given status: approved notes to
+// students of its branch, pending ones to the admins' moderation queue
+export const publishNoteStatus = (note) => {
+  if (note.status === NOTE_STATUS.APPROVED) {
+    return publish(channels.branch(note.branch), REALTIME_EVENTS.NOTE_PUBLISHED, noteSummary(note));
+  }
+  if (note.status === NOTE_STATUS.PENDING) {
+    return publish(channels.admins(), REALTIME_EVENTS.MODERATION_QUEUED, noteSummary(note));
+  }
+};
+
+// Tell admins a note left the moderation queue, so other open queues update
+export const publishModerationResolved = (note, moderator) =>
+  publish(channels.admins(), REALTIME_EVENTS.MODERATION_RESOLVED, {
+    ...noteSummary(note),
+    moderatedBy: moderator._id,
+  });
+
+// Tell an applicant their application's status
+export const publishApplicationStatus = (application) =>
+  publish(channels.user(application.applicant), REALTIME_EVENTS.APPLICATION_STATUS, {
+    _id: application._id,
+    job: application.job._id, // Same for a populated job and a bare id
+    status: application.status,
+  });
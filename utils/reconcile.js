@@ -0,0 +1,124 @@
+import Bookmark from '../models/Bookmark.js';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import { APPLICATION_STATUS } from './constants.js';
+import { removeResume } from './resume.js';
+
+const normalizeIds = (ids = []) => [...new Set(ids.map(id => id.toString()))].sort();
+
+const sameIds = (a, b) => {
+  const first = normalizeIds(a);
+  const second = normalizeIds(b);
+  return first.length === second.length && first.every((id, index) => id === second[index]);
+};
+
+// Map of `key` -> ids collected from `field`, e.g. note -> users who bookmarked it
+const groupIds = async (Model, key, field, match = {}) => {
+  const groups = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${key}`, ids: { $addToSet: `$${field}` } } },
+  ]);
+  return new Map(groups.map(group => [group._id.toString(), group.ids]));
+};
+
+// Ids of documents in `Model` whose `refs` point at documents that no longer exist
+const findOrphans = async (Model, refs) => {
+  const orphans = await Model.aggregate([
+    ...refs.map(({ field, from }) => ({
+      $lookup: { from, localField: field, foreignField: '_id', as: `_${field}` },
+    })),
+    { $match: { $or: refs.map(({ field }) => ({ [`_${field}`]: { $size: 0 } })) } },
+    { $project: { _id: 1 } },
+  ]);
+  return orphans.map(orphan => orphan._id);
+};
+
+// Compare a denormalized id array on every document of `Model` with the
+// expected ids and collect the repairs needed
+const diffArrays = async (Model, field, expected) => {
+  const repairs = [];
+  const cursor = Model.find().select(field).lean().cursor();
+
+  for await (const doc of cursor) {
+    const expectedIds = expected.get(doc._id.toString()) || [];
+    if (!sameIds(doc[field], expectedIds)) {
+      repairs.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { [field]: expectedIds } },
+        },
+      });
+    }
+  }
+
+  return repairs;
+};
+
+// Detect (and unless `dryRun` is set, repair) drift between the Bookmark and
+// Application collections and the arrays denormalized from them
+// (Note.bookmarkedBy, User.bookmarks, User.uploadedNotes and Job.applicants).
+// The Bookmark, Application and Note collections are the source of truth.
+export const reconcileReferences = async ({ dryRun = false } = {}) => {
+  // Records pointing at deleted documents are removed first so they don't
+  // end up copied back into the arrays
+  const orphanedBookmarks = await findOrphans(Bookmark, [
+    { field: 'note', from: Note.collection.name },
+    { field: 'user', from: User.collection.name },
+  ]);
+  const orphanedApplications = await findOrphans(Application, [
+    { field: 'job', from: Job.collection.name },
+    { field: 'applicant', from: User.collection.name },
+  ]);
+
+  if (!dryRun) {
+    const orphanedResumes = await Application.find({
+      _id: { $in: orphanedApplications },
+      resume: { $exists: true },
+    }).select('resume');
+
+    await Bookmark.deleteMany({ _id: { $in: orphanedBookmarks } });
+    await Application.deleteMany({ _id: { $in: orphanedApplications } });
+
+    for (const { resume } of orphanedResumes) {
+      await removeResume(resume);
+    }
+  }
+
+  // Orphans are excluded explicitly because a dry run leaves them in place
+  const liveBookmarks = { _id: { $nin: orphanedBookmarks } };
+  const liveApplications = {
+    _id: { $nin: orphanedApplications },
+    status: { $ne: APPLICATION_STATUS.WITHDRAWN }, // Withdrawn applicants leave Job.applicants
+  };
+
+  const [bookmarkedBy, userBookmarks, uploadedNotes, applicants] = await Promise.all([
+    groupIds(Bookmark, 'note', 'user', liveBookmarks),
+    groupIds(Bookmark, 'user', 'note', liveBookmarks),
+    groupIds(Note, 'uploadedBy', '_id'),
+    groupIds(Application, 'job', 'applicant', liveApplications),
+  ]);
+
+  const noteRepairs = await diffArrays(Note, 'bookmarkedBy', bookmarkedBy);
+  const userBookmarkRepairs = await diffArrays(User, 'bookmarks', userBookmarks);
+  const uploadedNoteRepairs = await diffArrays(User, 'uploadedNotes', uploadedNotes);
+  const jobRepairs = await diffArrays(Job, 'applicants', applicants);
+
+  if (!dryRun) {
+    if (noteRepairs.length) await Note.bulkWrite(noteRepairs);
+    if (userBookmarkRepairs.length) await User.bulkWrite(userBookmarkRepairs);
+    if (uploadedNoteRepairs.length) await User.bulkWrite(uploadedNoteRepairs);
+    if (jobRepairs.length) await Job.bulkWrite(jobRepairs);
+  }
+
+  return {
+    dryRun,
+    orphanedBookmarks: orphanedBookmarks.length,
+    orphanedApplications: orphanedApplications.length,
+    noteBookmarkedBy: noteRepairs.length,
+    userBookmarks: userBookmarkRepairs.length,
+    userUploadedNotes: uploadedNoteRepairs.length,
+    jobApplicants: jobRepairs.length,
+  };
+};
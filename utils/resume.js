@@ -0,0 +1,81 @@
+import jwt from 'jsonwebtoken';
+import { storeFile, removeFile, readFile, streamFile } from './storage/index.js';
+import { FILE_TYPES } from './constants.js';
+
+const RESUME_FOLDER = 'study-hub-resumes';
+const RESUME_URL_PURPOSE = 'resume';
+const RESUME_URL_EXPIRE = process.env.RESUME_URL_EXPIRE || '10m';
+
+const toRef = (resume) => ({
+  provider: resume.provider,
+  key: resume.key,
+  mimetype: FILE_TYPES.PDF,
+});
+
+// Whether a buffer really holds a PDF (the upload's mimetype is client-supplied)
+export const isPdf = (buffer) =>
+  buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+
+// Store an uploaded resume file
+export const storeResume = async (buffer, fileName) => {
+  const stored = await storeFile(buffer, {
+    folder: RESUME_FOLDER,
+    mimetype: FILE_TYPES.PDF,
+  });
+
+  return {
+    provider: stored.provider,
+    key: stored.key,
+    fileName,
+    fileSize: buffer.length,
+    uploadedAt: new Date(),
+  };
+};
+
+// Store a separate copy of a resume, so an application keeps the resume it
+// was submitted with after the profile's default resume changes
+export const copyResume = async (resume) =>
+  storeResume(await readFile(toRef(resume)), resume.fileName);
+
+// Remove a stored resume (no-op without one)
+export const removeResume = async (resume) => {
+  if (!resume?.key) return;
+  await removeFile(toRef(resume));
+};
+
+// Short-lived URL that lets whoever holds it download an application's resume
+export const signResumeUrl = (application) => {
+  const signature = jwt.sign(
+    { sub: application._id.toString(), purpose: RESUME_URL_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: RESUME_URL_EXPIRE }
+  );
+
+  return `/api/jobs/applications/${application._id}/resume?signature=${signature}`;
+};
+
+// Whether a signature from signResumeUrl is valid for the application
+export const verifyResumeSignature = (signature, applicationId) => {
+  try {
+    const decoded = jwt.verify(signature, process.env.JWT_SECRET);
+    return decoded.purpose === RESUME_URL_PURPOSE && decoded.sub === applicationId;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Stream a resume to the client as a PDF download
+export const sendResume = async (res, resume) => {
+  const stream = await streamFile(toRef(resume));
+
+  res.setHeader('Content-Type', FILE_TYPES.PDF);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${(resume.fileName || 'resume.pdf').replace(/[^\x20-\x7E]|["\\]/g, '_')}"`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  // Headers are already sent by the time a read fails, so just cut the response
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+};
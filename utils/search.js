@@ -0,0 +1,74 @@
+// Escape user input before using it inside a RegExp
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Split a search string into the words worth highlighting (quotes and negations removed)
+export const getSearchTerms = (search) =>
+  search
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => term.length > 1);
+
+// Build an HTML-escaped excerpt of `text` around the first matching term,
+// with every matching term wrapped in <mark>
+export const buildSnippet = (text, terms, radius = 80) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const firstMatch = text.search(pattern);
+
+  if (firstMatch === -1) return null;
+
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(text.length, firstMatch + radius);
+  const excerpt = text.slice(start, end);
+
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+const bigrams = (text) => {
+  const normalized = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const pairs = [];
+  for (let i = 0; i < normalized.length - 1; i++) {
+    pairs.push(normalized.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+// Dice coefficient of two titles' character bigrams (0 = unrelated, 1 = identical)
+export const titleSimilarity = (a, b) => {
+  const first = bigrams(a);
+  const second = bigrams(b);
+
+  if (first.length === 0 || second.length === 0) {
+    return first.length === second.length ? 1 : 0;
+  }
+
+  const counts = new Map();
+  for (const pair of first) {
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (const pair of second) {
+    if (counts.get(pair) > 0) {
+      counts.set(pair, counts.get(pair) - 1);
+      overlap += 1;
+    }
+  }
+
+  return (2 * overlap) / (first.length + second.length);
+};
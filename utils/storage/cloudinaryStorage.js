@@ -0,0 +1,52 @@
+import { Readable } from 'stream';
+import cloudinary from '../../config/cloudinary.js';
+
+const getResourceType = (mimetype = '') =>
+  mimetype.startsWith('image/') ? 'image' : 'raw'; // For PDFs and documents
+
+const createCloudinaryStorage = () => ({
+  name: 'cloudinary',
+
+  put(buffer, { folder, mimetype }) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: getResourceType(mimetype),
+          format: mimetype.includes('pdf') ? 'pdf' : undefined,
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({ key: result.public_id, url: result.secure_url });
+        }
+      );
+
+      Readable.from([buffer]).pipe(uploadStream);
+    });
+  },
+
+  async delete(key, { mimetype } = {}) {
+    await cloudinary.uploader.destroy(key, {
+      resource_type: getResourceType(mimetype),
+    });
+  },
+
+  getUrl(key, { mimetype } = {}) {
+    return cloudinary.url(key, {
+      resource_type: getResourceType(mimetype),
+      secure: true,
+    });
+  },
+
+  async stream(key, options = {}) {
+    const response = await fetch(this.getUrl(key, options));
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch file from Cloudinary (${response.status})`);
+    }
+
+    return Readable.fromWeb(response.body);
+  },
+});
+
+export default createCloudinaryStorage;
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import createCloudinaryStorage from './cloudinaryStorage.js';
+import createLocalStorage from './localStorage.js';
+import createS3Storage from './s3Storage.js';
+import { FILE_TYPES } from '../constants.js';
+
+dotenv.config();  // make sure .env is loaded
+
+// Every driver implements the same interface:
+//   put(buffer, { key, folder, mimetype }) -> { key, url }
+//   delete(key, { mimetype })
+//   getUrl(key, { mimetype }) -> string
+//   stream(key, { mimetype }) -> Readable
+const drivers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+const instances = {};
+
+export const DEFAULT_STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'cloudinary';
+
+// Get a storage driver by name (defaults to the one configured via STORAGE_DRIVER)
+export const getStorage = (name = DEFAULT_STORAGE_DRIVER) => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = drivers[name]();
+  }
+  return instances[name];
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(FILE_TYPES).map(([ext, mimetype]) => [mimetype, `.${ext.toLowerCase()}`])
+);
+
+// Store a file with the configured driver and describe where it went
+export const storeFile = async (buffer, { folder, mimetype }) => {
+  const storage = getStorage();
+  const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${
+    EXTENSIONS[mimetype] || ''
+  }`;
+
+  const result = await storage.put(buffer, { key, folder, mimetype });
+
+  return { ...result, provider: storage.name };
+};
+
+// Remove a stored file using the driver that originally stored it
+export const removeFile = async ({ provider, key, mimetype }) => {
+  if (!key) return;
+  await getStorage(provider).delete(key, { mimetype });
+};
+
+// Open a stored file for reading using the driver that originally stored it
+export const streamFile = ({ provider, key, mimetype }) =>
+  getStorage(provider).stream(key, { mimetype });
+
+// Read a stored file fully into memory
+export const readFile = async (ref) => {
+  const chunks = [];
+  for await (const chunk of await streamFile(ref)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
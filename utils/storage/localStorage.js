@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  // Recorded with each file for reference only: local files are never served
+  // directly, but through signed URLs (see utils/fileUrl.js)
+  const publicUrl = (
+    process.env.STORAGE_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`
+  ).replace(/\/$/, '');
+
+  // Resolve a key inside the storage root, refusing anything that escapes it
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+
+    async put(buffer, { key }) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return { key, url: this.getUrl(key) };
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    async stream(key) {
+      const filePath = resolvePath(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+  };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,69 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} from '@aws-sdk/client-s3';
+
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  const endpoint = process.env.S3_ENDPOINT; // e.g. http://localhost:9000 for MinIO
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    // MinIO-style servers only support path-style bucket addressing
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  const publicUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(buffer, { key, mimetype }) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: mimetype,
+        })
+      );
+
+      return { key, url: this.getUrl(key) };
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${publicUrl}/${key}`;
+    },
+
+    async stream(key) {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return response.Body;
+    },
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,59 @@
+import sharp from 'sharp';
+import { PDFParse } from 'pdf-parse';
+import { FILE_TYPES } from './constants.js';
+
+export const THUMBNAIL_WIDTH = 400;
+export const THUMBNAIL_MIMETYPE = FILE_TYPES.JPG;
+
+const toJpeg = (input) =>
+  sharp(input)
+    .flatten({ background: '#ffffff' })
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+// Render the first page of a PDF
+const pdfThumbnail = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getScreenshot({
+      partial: [1],
+      desiredWidth: THUMBNAIL_WIDTH,
+      imageDataUrl: false,
+    });
+    return toJpeg(Buffer.from(result.pages[0].data));
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Generic document card for formats that can't be rendered
+const placeholderThumbnail = (label) => {
+  const svg = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="520">
+      <rect width="100%" height="100%" fill="#f3f4f6"/>
+      <rect x="110" y="120" width="180" height="230" rx="12" fill="#ffffff" stroke="#9ca3af" stroke-width="4"/>
+      <rect x="140" y="170" width="120" height="10" rx="5" fill="#d1d5db"/>
+      <rect x="140" y="200" width="120" height="10" rx="5" fill="#d1d5db"/>
+      <rect x="140" y="230" width="80" height="10" rx="5" fill="#d1d5db"/>
+      <text x="50%" y="420" font-family="sans-serif" font-size="44" font-weight="bold"
+        fill="#2563eb" text-anchor="middle">${label}</text>
+    </svg>`;
+
+  return toJpeg(Buffer.from(svg));
+};
+
+const generators = {
+  [FILE_TYPES.PDF]: pdfThumbnail,
+  [FILE_TYPES.JPG]: toJpeg,
+  [FILE_TYPES.PNG]: toJpeg,
+  [FILE_TYPES.DOCX]: () => placeholderThumbnail('DOCX'),
+  [FILE_TYPES.DOC]: () => placeholderThumbnail('DOC'),
+};
+
+// Generate a JPEG preview of an uploaded file
+export const generateThumbnail = (buffer, mimetype) => {
+  const generator = generators[mimetype] || (() => placeholderThumbnail('FILE'));
+  return generator(buffer);
+};
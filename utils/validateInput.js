@@ -1,4 +1,15 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, query, checkExact, validationResult } from 'express-validator';
+import {
+  NOTIFICATION_TYPES,
+  APPLICATION_TRANSITIONS,
+  USER_ROLES,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+} from './constants.js';
+
+// Rejects any body field that isn't validated by one of the given rules
+const onlyFields = (rules) =>
+  checkExact(rules, { locations: ['body'], message: 'Unknown field' });
 
 // Validation rules for user registration
 export const registerValidation = [
@@ -30,6 +41,73 @@ export const registerValidation = [
     .withMessage('Branch is required'),
 ];
 
+// Validation rules for recruiter registration
+export const recruiterRegisterValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2 })
+    .withMessage('Name must be at least 2 characters'),
+  
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+  
+  body('companyName')
+    .trim()
+    .notEmpty()
+    .withMessage('Company name is required')
+    .isLength({ max: 100 })
+    .withMessage('Company name must not exceed 100 characters'),
+  
+  body('companyWebsite')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Company website must be a valid URL'),
+];
+
+// Validation rules for recruiter approval
+export const recruiterApprovalValidation = onlyFields([
+  body('confirmCompany')
+    .optional()
+    .isBoolean()
+    .withMessage('confirmCompany must be a boolean')
+    .toBoolean(),
+]);
+
+// Validation rules for recruiter rejection
+export const recruiterRejectionValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+];
+
+// Validation rules for assigning a role to a user
+export const roleAssignmentValidation = onlyFields([
+  body('role')
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+  
+  body('companyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+]);
+
 // Validation rules for user login
 export const loginValidation = [
   body('email')
@@ -45,6 +123,83 @@ export const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+// Validation rules for refresh token requests
+export const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
+    .withMessage('Refresh token must be a string'),
+];
+
+// Validation rules for changing password
+export const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+];
+
+// Validation rules for requesting a password reset
+export const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+];
+
+// Validation rules for resetting a password
+export const resetPasswordValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+];
+
+// Validation rules for updating the user's profile
+export const profileUpdateValidation = onlyFields([
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('branch')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Branch cannot be empty'),
+  
+  body('semester')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Semester must be between 1 and 8')
+    .toInt(),
+  
+  body('cgpa')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('CGPA must be between 0 and 10')
+    .toFloat(),
+  
+  body('graduationYear')
+    .optional({ values: 'null' })
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Graduation year must be between 2000 and 2100')
+    .toInt(),
+]);
+
 // Validation rules for note upload
 export const noteValidation = [
   body('title')
@@ -77,16 +232,587 @@ export const noteValidation = [
     .withMessage('Description must not exceed 500 characters'),
 ];
 
+// Validation rules for uploading a new note file version
+export const noteVersionValidation = [
+  body('changelog')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Changelog must not exceed 500 characters'),
+];
+
+// Validation rules for editing a note's details
+export const noteUpdateValidation = onlyFields([
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('subject')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Subject cannot be empty'),
+  
+  body('semester')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('Semester must be between 1 and 8')
+    .toInt(),
+  
+  body('branch')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Branch cannot be empty'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  
+  body('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list')
+    .isLength({ max: 500 })
+    .withMessage('Tags must not exceed 500 characters'),
+]);
+
+// Validation rules for note reviews
+export const reviewValidation = [
+  body('rating')
+    .notEmpty()
+    .withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+  
+  body('review')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review must not exceed 1000 characters'),
+];
+
+// Validation rules for updating a note review
+export const reviewUpdateValidation = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+  
+  body('review')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review must not exceed 1000 characters'),
+];
+
+// Validation rules for note comments
+export const commentValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters'),
+  
+  body('parentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+];
+
+// Validation rules for editing a note comment
+export const commentUpdateValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters'),
+];
+
+// Validation rules for rejecting a note
+export const rejectNoteValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Rejection reason must not exceed 500 characters'),
+];
+
+// Validation rules for bulk note moderation
+export const bulkModerationValidation = [
+  body('noteIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('noteIds must be an array of 1 to 100 note IDs'),
+  
+  body('noteIds.*')
+    .isMongoId()
+    .withMessage('Invalid note ID'),
+];
+
+// Validation rules for merging duplicate notes
+export const mergeDuplicatesValidation = [
+  body('keepId')
+    .isMongoId()
+    .withMessage('Invalid note ID to keep'),
+  
+  body('mergeIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('mergeIds must be an array of 1 to 50 note IDs'),
+  
+  body('mergeIds.*')
+    .isMongoId()
+    .withMessage('Invalid note ID')
+    .custom((value, { req }) => value !== req.body.keepId)
+    .withMessage('The note to keep cannot also be merged'),
+];
+
+// Validation rules for creating a bookmark collection
+export const collectionValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Collection name is required')
+    .isLength({ max: 50 })
+    .withMessage('Collection name must not exceed 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false'),
+];
+
+// Validation rules for updating a bookmark collection
+export const collectionUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Collection name cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Collection name must not exceed 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false'),
+];
+
+// Validation rules for reordering bookmark collections
+export const collectionOrderValidation = [
+  body('collectionIds')
+    .isArray({ min: 1 })
+    .withMessage('collectionIds must be a non-empty array'),
+  
+  body('collectionIds.*')
+    .isMongoId()
+    .withMessage('Invalid collection ID'),
+];
+
+// Validation rules for listing bookmarks
+export const bookmarkQueryValidation = [
+  query('collection')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid collection ID'),
+];
+
+// Validation rules for the fields of a job posting, all optional
+const jobFieldRules = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('company')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Company name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Company name must not exceed 100 characters'),
+  
+  body('companyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 20, max: 5000 })
+    .withMessage('Description must be between 20 and 5000 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['Job', 'Internship'])
+    .withMessage('Type must be Job or Internship'),
+  
+  body('location')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Location cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Location must not exceed 100 characters'),
+  
+  body('locationType')
+    .optional()
+    .isIn(['Remote', 'On-site', 'Hybrid'])
+    .withMessage('Location type must be Remote, On-site or Hybrid'),
+  
+  body('salary')
+    .optional()
+    .isObject()
+    .withMessage('Salary must be an object'),
+  
+  body(['salary.min', 'salary.max'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salary must be a positive number')
+    .toFloat(),
+  
+  body('salary.max')
+    .optional()
+    .custom((value, { req }) => req.body.salary.min == null || Number(value) >= Number(req.body.salary.min))
+    .withMessage('Maximum salary must not be less than the minimum salary'),
+  
+  body(['salary.currency', 'stipend.currency'])
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  
+  body('stipend')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Stipend must be an object')
+    .custom((value, { req }) => req.body.type === undefined || req.body.type === 'Internship')
+    .withMessage('Stipend is only allowed for internships'),
+  
+  body('stipend.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stipend must be a positive number')
+    .toFloat(),
+  
+  body(['stipend.duration', 'duration'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Duration must not exceed 50 characters'),
+  
+  body('skills')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Skills must be an array of at most 30 skills'),
+  
+  body('skills.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Skills cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Each skill must not exceed 50 characters'),
+  
+  body('eligibility')
+    .optional()
+    .isObject()
+    .withMessage('Eligibility must be an object'),
+  
+  body('eligibility.branches')
+    .optional()
+    .isArray()
+    .withMessage('Eligible branches must be an array'),
+  
+  body('eligibility.branches.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Branches cannot be empty'),
+  
+  body('eligibility.minCGPA')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Minimum CGPA must be between 0 and 10')
+    .toFloat(),
+  
+  body('eligibility.graduationYear')
+    .optional()
+    .isArray()
+    .withMessage('Eligible graduation years must be an array'),
+  
+  body('eligibility.graduationYear.*')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Graduation years must be between 2000 and 2100')
+    .toInt(),
+  
+  body('applicationDeadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Application deadline must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Application deadline must be in the future'),
+  
+  body('applyLink')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Application link must be a valid URL'),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'closed', 'draft'])
+    .withMessage('Status must be active, closed or draft'),
+  
+  body('isVerified')
+    .optional()
+    .isBoolean()
+    .withMessage('isVerified must be true or false')
+    .toBoolean(),
+];
+
+// Validation rules for posting a job
+export const jobValidation = onlyFields([
+  body('title')
+    .notEmpty()
+    .withMessage('Title is required'),
+  
+  // Recruiters and jobs posted for a registered company take the company's name
+  body('company')
+    .if((value, { req }) => req.user.role !== USER_ROLES.RECRUITER && !req.body.companyId)
+    .notEmpty()
+    .withMessage('Company name is required'),
+  
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required'),
+  
+  body('type')
+    .notEmpty()
+    .withMessage('Type is required'),
+  
+  body('location')
+    .notEmpty()
+    .withMessage('Location is required'),
+  
+  body('applicationDeadline')
+    .notEmpty()
+    .withMessage('Application deadline is required'),
+  
+  body('applyLink')
+    .notEmpty()
+    .withMessage('Application link is required'),
+  
+  ...jobFieldRules,
+]);
+
+// Validation rules for updating a job
+export const jobUpdateValidation = onlyFields(jobFieldRules);
+
+// Validation rules for applying to a job (the resume is a file upload)
+export const applicationValidation = onlyFields([
+  body('coverLetter')
+    .optional()
+    .isString()
+    .withMessage('Cover letter must be text')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Cover letter must not exceed 1000 characters'),
+]);
+
+// Statuses an admin can move applications to
+const ADMIN_APPLICATION_STATUSES = [...new Set(Object.values(APPLICATION_TRANSITIONS).flat())];
+
+// Validation rules for changing an application's status
+export const applicationStatusValidation = [
+  body('status')
+    .isIn(ADMIN_APPLICATION_STATUSES)
+    .withMessage(`Status must be one of: ${ADMIN_APPLICATION_STATUSES.join(', ')}`),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
+// Validation rules for changing the status of multiple applications
+export const bulkApplicationStatusValidation = [
+  body('applicationIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('applicationIds must be an array of 1 to 100 IDs'),
+  
+  body('applicationIds.*')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  ...applicationStatusValidation,
+];
+
+// Validation rules for withdrawing an application
+export const withdrawApplicationValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+];
+
+// Validation rules for scheduling a draft job
+export const scheduleJobValidation = [
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+];
+
+// Validation rules for the fields of a job alert (each may be null to clear it)
+const jobAlertFieldRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Alert name must not exceed 50 characters'),
+  
+  body('type')
+    .optional({ values: 'null' })
+    .isIn(['Job', 'Internship'])
+    .withMessage('Type must be Job or Internship'),
+  
+  body('locationType')
+    .optional({ values: 'null' })
+    .isIn(['Remote', 'On-site', 'Hybrid'])
+    .withMessage('Location type must be Remote, On-site or Hybrid'),
+  
+  body('location')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must not exceed 100 characters'),
+  
+  body('skills')
+    .optional({ values: 'null' })
+    .isArray({ max: 20 })
+    .withMessage('Skills must be an array of at most 20 skills'),
+  
+  body('skills.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Skills cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Each skill must not exceed 50 characters'),
+  
+  body('minStipend')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum stipend must be a positive number')
+    .toFloat(),
+  
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'daily'])
+    .withMessage('Frequency must be instant or daily'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+];
+
+// Validation rules for saving and unsaving a job
+export const savedJobValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+];
+
+// Validation rules for creating a job alert
+export const jobAlertValidation = [
+  body()
+    .custom(value => ['type', 'locationType', 'location', 'skills', 'minStipend'].some(
+      field => value?.[field] != null && value[field] !== '' && !(Array.isArray(value[field]) && !value[field].length)
+    ))
+    .withMessage('Set at least one of type, locationType, location, skills or minStipend'),
+  
+  ...jobAlertFieldRules,
+];
+
+// Validation rules for updating a job alert
+export const jobAlertUpdateValidation = jobAlertFieldRules;
+
+// Validation rules for notification preferences
+export const notificationPreferencesValidation = [
+  body()
+    .custom(value => Object.keys(value || {}).every(key =>
+      Object.values(NOTIFICATION_TYPES).includes(key)
+    ))
+    .withMessage(`Preferences must be among: ${Object.values(NOTIFICATION_TYPES).join(', ')}`),
+  
+  body(Object.values(NOTIFICATION_TYPES))
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be true or false')
+    .toBoolean(),
+];
+
+// Validation rules for filtering the audit log
+export const auditQueryValidation = [
+  query(['actor', 'targetId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID'),
+  
+  query('action')
+    .optional()
+    .isIn(Object.values(AUDIT_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}`),
+  
+  query('targetType')
+    .optional()
+    .isIn(AUDIT_TARGETS)
+    .withMessage(`Target type must be one of: ${AUDIT_TARGETS.join(', ')}`),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+];
+
 // Middleware to check validation results
 export const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      errors: errors.array().map(err => ({
-        field: err.path,
-        message: err.msg
-      }))
+      // Unknown fields are reported one by one like any other invalid field
+      errors: errors.array().flatMap(err =>
+        err.type === 'unknown_fields'
+          ? err.fields.map(field => ({ field: field.path, message: err.msg }))
+          : [{ field: err.path, message: err.msg }]
+      )
     });
   }
   next();